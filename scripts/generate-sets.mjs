@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * @file scripts/generate-sets.mjs
+ * @description
+ * Generate a condition-sets file (sets_v1.json shape) from a design.
+ *
+ * Usage
+ *   node scripts/generate-sets.mjs [design.json] [--seed N] [--out file.json]
+ *
+ *  - design.json: defaults to conditions/design_v1.json
+ *  - --seed:      overrides the design's `seed`
+ *  - --out:       write to a file instead of stdout
+ *
+ * The same design + seed always produces the same file (see src/data/generator.js).
+ * Generator warnings are printed to stderr and kept on their blocks (`generator_warnings`).
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { generateSets } from '../src/data/generator.js';
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  if (i < 0) return null;
+  const v = args[i + 1];
+  args.splice(i, 2);
+  return v;
+};
+
+const seed = flag('--seed');
+const out  = flag('--out');
+const designPath = args[0] || 'conditions/design_v1.json';
+
+try {
+  const design = JSON.parse(readFileSync(designPath, 'utf8'));
+  const sets = generateSets(design, seed !== null ? Number(seed) : undefined);
+  const json = JSON.stringify(sets, null, 2) + '\n';
+  for (const [setId, set] of Object.entries(sets)) {
+    set.blocks.forEach((blk, b) => (blk.generator_warnings || []).forEach(w => console.error(`warning: set '${setId}' block ${b}: ${w}`)));
+  }
+
+  if (out) {
+    writeFileSync(out, json);
+    console.error(`Wrote ${Object.keys(sets).length} sets to ${out}`);
+  } else {
+    process.stdout.write(json);
+  }
+} catch (e) {
+  console.error(`generate-sets: ${e.message}`);
+  process.exit(1);
+}
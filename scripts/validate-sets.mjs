@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * @file scripts/validate-sets.mjs
+ * @description
+ * Validate a condition-sets file (sets_v1.json shape) and print design diagnostics per set.
+ *
+ * Usage
+ *   node scripts/validate-sets.mjs [sets.json] [--json]
+ *
+ *  - sets.json: defaults to conditions/sets_v1.json
+ *  - --json:    print { issues, diagnostics } as JSON instead of the text report
+ *
+ * Door counts are checked against the layouts registered for the backgrounds listed in
+ * assets/backgrounds/manifest.json.
+ *
+ * Exits with status 1 when any schema error is found (warnings do not fail).
+ * Checks and diagnostics are defined in src/data/validator.js.
+ */
+
+import { readFileSync } from 'node:fs';
+import { validateSets, diagnoseSet } from '../src/data/validator.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const setsPath = args.filter(a => a !== '--json')[0] || 'conditions/sets_v1.json';
+
+let allSets, backgrounds;
+try {
+  allSets = JSON.parse(readFileSync(setsPath, 'utf8'));
+  backgrounds = JSON.parse(readFileSync(new URL('../assets/backgrounds/manifest.json', import.meta.url), 'utf8'));
+} catch (e) {
+  console.error(`validate-sets: ${e.message}`);
+  process.exit(1);
+}
+
+const issues = validateSets(allSets, { backgrounds });
+const errors = issues.filter(i => i.level === 'error');
+
+// Diagnostics only for sets whose structure is usable.
+const broken = new Set(errors.map(i => i.set));
+const diagnostics = {};
+for (const [setId, set] of Object.entries(allSets || {})) {
+  if (!broken.has(setId)) diagnostics[setId] = diagnoseSet(set);
+}
+
+if (asJson) {
+  process.stdout.write(JSON.stringify({ file: setsPath, issues, diagnostics }, null, 2) + '\n');
+} else {
+  printReport();
+}
+process.exit(errors.length ? 1 : 0);
+
+function printReport() {
+  const where = (i) => [i.set, i.block !== undefined ? `block ${i.block}` : null, i.trial !== undefined ? `trial ${i.trial + 1}` : null]
+    .filter(Boolean).join(' / ');
+  const pct = (x) => (x === null ? 'n/a' : `${Math.round(x * 100)}%`);
+
+  console.log(`${setsPath}: ${Object.keys(allSets || {}).length} sets, ${errors.length} errors, ${issues.length - errors.length} warnings`);
+  issues.forEach((i) => console.log(`  ${i.level.toUpperCase().padEnd(7)} ${where(i)}: ${i.message}`));
+
+  for (const [setId, blocks] of Object.entries(diagnostics)) {
+    console.log(`\n== ${setId}`);
+    blocks.forEach((d) => {
+      console.log(`  block ${d.block}: ${d.trials} trials, ${d.errors} errors, reliability ${pct(d.reliability)}`);
+      console.log(`    pattern      ${d.pattern}`);
+      console.log(`    runs         longest error ${d.longest_error_run}, longest correct ${d.longest_correct_run}, error runs [${d.error_runs.join(', ')}]`);
+      const risk = Object.entries(d.crosstab).map(([k, c]) => `${k} ${c.correct}/${c.error}`).join(', ');
+      console.log(`    risk (ok/err) ${risk}`);
+      console.log(`    sides        victim [${d.victim_doors.join(', ')}], suggested [${d.suggested_doors.join(', ')}]`);
+      const probes = d.probes.map(p => `${p.index}${p.after_error ? '*' : ''}` +
+        (p.trials_since_error === null ? ' (no prior error)' : ` (+${p.trials_since_error} since error)`)).join(', ');
+      console.log(`    probes       ${probes || 'none (cadence)'}`);
+      console.log(`    after        ${(d.after || []).join(' → ') || '—'}`);
+    });
+  }
+  console.log('\n  * probe directly after an error trial');
+}
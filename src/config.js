@@ -3,6 +3,7 @@
  * @description
  * Experiment configuration and participant/session utilities.
  * Keep values concise and environment-agnostic—runtime overrides can be passed via URL.
+ * Importable outside the browser (Node tools in scripts/): `pid` is then null.
  */
 
 export const pid = getPID();
@@ -17,6 +18,34 @@ export const CONFIG = {
   drone_success_rate: 0.75,
   sequence: null,
   seed: null,
+  door_count: 2,               // default doors per scene (2–4); sets may override per set/block/trial
+
+  // Study definition (src/data/study.js): stage order and parameters; `?study=name` → conditions/name.json
+  study_url: 'conditions/study_v1.json',
+
+  // Procedural condition sets (src/data/generator.js) instead of conditions/sets_v1.json
+  set_generator: {
+    enabled: false,              // `?gen=1` enables
+    design_url: 'conditions/design_v1.json',
+    seed: null                   // null → the design's `seed`; `?genseed=N` overrides
+  },
+
+  // Adaptive drone reliability (src/data/adaptive.js): hit/miss decided online, not by the set
+  adaptive: {
+    enabled: false,              // `?adapt=reliance|trust` enables with that rule
+    rule: 'reliance',            // 'reliance' (staircase on follow rate) | 'trust' (latest trust probe)
+    blocks: null,                // 1-based blocks under control; null → all
+    target_reliance: 0.70,       // follow rate to hold (rule 'reliance')
+    target_trust: 60,            // trust probe value to hold, 0–100 (rule 'trust')
+    tolerance: 0.05,             // dead band around the target (fraction; trust in /100)
+    window: 6,                   // recent decisions that define the follow rate
+    min_trials: 3,               // decisions needed before the first step
+    start_reliability: 0.80,
+    step: 0.05,                  // reliability change per update
+    min_reliability: 0.30,
+    max_reliability: 1.00,
+    max_error_run: 3             // force a hit after this many consecutive misses
+  },
 
   // Drone timing (ms)
   drone_buffer_ms: 2000,        // scan sweep duration
@@ -53,7 +82,133 @@ export const CONFIG = {
   decision_timeout_ms: 4000,
   timer_warn_ms: 2000,
   timer_critical_ms: 1000,
-  timer_action: 'auto_follow', // 'auto_follow' | 'none'
+  timer_action: 'auto_follow', // 'auto_follow' | 'auto_ignore' | 'random_door' | 'no_response' | 'repeat_trial' | 'none'
+
+  // Judge–advisor design (initial choice before advice); sets may override per set/block/trial
+  judge_advisor: {
+    enabled: false               // `?jas=1` enables for trials without an explicit `judge_advisor`
+  },
+
+  // Delegation (“let the drone decide” for this trial or the rest of the block)
+  delegation: {
+    enabled: false,              // `?delegate=1` enables
+    dwell_ms: 900,               // hover at the suggested door before a delegated block trial opens it
+    banner_text: 'Delegated – the drone is deciding'
+  },
+
+  // Thermal peek (paid information sampling during the decision window)
+  peek: {
+    enabled: false,              // `?peek=1` enables
+    accuracy: 0.80,              // default cue accuracy; sets may override per set/block/trial (`peek_accuracy`)
+    cost_ms: 1000,               // integrity time lost per peek
+    cost_points: 0,              // points per peek (when scoring is on)
+    max_per_trial: 1,
+    cue_ms: 1200                 // how long the cue stays on the door
+  },
+
+  // Participant-requested rescan (reassurance seeking); sets decide stay/flip per trial (`rescan`)
+  rescan: {
+    enabled: false,              // `?rescan=1` enables
+    cost_ms: 1000,               // extra integrity time lost per rescan (the sweep itself also runs on the clock)
+    scan_ms: null,               // sweep duration; null → the trial's drone_buffer_ms
+    max_per_trial: 1
+  },
+
+  // Post-decision confidence rating (inline, before the door opens); sets may override per set/block
+  post_confidence: {
+    enabled: false,              // `?crate=5|100` enables with that scale, `?crate=0` disables
+    scale: 'likert5',            // 'likert5' (1–5) | 'percent' (0–100)
+    prompt: 'How confident are you in your choice?'
+  },
+
+  // Pointer trajectories while the decision HUD is up (mouse/touch/pen), logged on the door-trial row
+  trajectory: {
+    enabled: true,               // `?traj=0` disables
+    sample_ms: 20,               // minimum gap between stored positions
+    max_samples: 1500            // cap per trial (`traj_truncated` when reached)
+  },
+
+  // Continue after a page refresh at the next unfinished trial (src/data/session.js)
+  resume: {
+    enabled: true                // `?resume=0` starts over; `?reset=1` also clears the cached set
+  },
+
+  // Pause door blocks when fullscreen is left and prompt to re-enter (desktop); exits logged per session
+  fullscreen_guard: {
+    enabled: true                // `?fsguard=0` disables
+  },
+
+  // Game controllers (Gamepad API, standard mapping); see src/ui/gamepad.js
+  gamepad: {
+    enabled: true,               // polls only once a controller connects; `?gamepad=0` disables
+    buttons: {                   // standard-mapping button indices
+      follow: 0,                 // A: follow the drone; confirm / press the focused button elsewhere
+      other: 1,                  // B: choose the other door; Back on questionnaires
+      delegate: 2,               // X: let the drone decide (when delegation is on)
+      rescan: 3,                 // Y: ask the drone to rescan (when rescan is on)
+      up: 12, down: 13,          // D-pad: move focus
+      left: 14, right: 15        // D-pad: step sliders, else move focus
+    },
+    stick_threshold: 0.6,        // left stick past this acts as the D-pad (0 disables)
+    repeat_delay_ms: 400,        // D-pad held: first repeat
+    repeat_ms: 120               // D-pad held: repeat interval
+  },
+
+  // Hold door trials while the tab is hidden or fullscreen is lost; interruptions logged per row
+  pause: {
+    enabled: true,               // `?pause=0` disables
+    on_hidden: true,             // visibilitychange → hidden
+    on_fullscreen_exit: true,    // only for trials that started in fullscreen
+    text: 'Paused. The mission continues when you return to this tab.',
+    fullscreen_text: 'Paused. The mission runs in fullscreen.',
+    fullscreen_button: 'Return to fullscreen'
+  },
+
+  // Drone confidence indicator (stated confidence shown with the recommendation)
+  drone_confidence: {
+    enabled: false,              // default for sets/blocks without `confidence_model`
+    model: 'calibrated',         // 'calibrated' | 'overconfident' | 'underconfident'
+    jitter: 0.05,                // ± uniform noise around the model's value
+    resolution: 0.10,            // calibrated spread: higher on hits, lower on misses
+    animate_ms: 700,             // count-up duration when the HUD expands
+    max: 0.99,                   // upper clamp (lower clamp is chance, 1/doors)
+    models: {
+      calibrated:     { bias:  0.00 },
+      overconfident:  { bias: +0.15 },
+      underconfident: { bias: -0.15 }
+    }
+  },
+
+  // Transparency (drone rationale in the decision HUD); sets may override per set/block
+  transparency: {
+    level: 'none',               // 'none' | 'rationale' | 'rationale_uncertainty'
+    assign_by_pid: false         // true → counterbalance levels across participants by hash(PID)
+  },
+
+  // Decision keys (HUD key hints, key handler, task description copy); see src/data/responseKeys.js
+  response_keys: {
+    scheme: 'follow',            // 'follow' (follow / other door) | 'door' (one key per door, left → right)
+    follow: 'f',                 // scheme 'follow' (KeyboardEvent.key values)
+    other: 'n',
+    doors: ['ArrowLeft', 'ArrowRight'], // scheme 'door', two-door scenes
+    counterbalance: false        // true → swap follow/other for half of the participants by hash(PID) (door keys never swap)
+  },
+
+  // Mission scoring (live score HUD + end-of-session bonus)
+  scoring: {
+    enabled: false,              // `?score=1` enables
+    start: 0,                    // starting total
+    points_victim: 100,          // correct door
+    penalty_wrong: 50,           // wrong door (subtracted)
+    penalty_timeout: 25,         // decision window expired (subtracted; stacks on outcome)
+    floor: 0,                    // lowest possible total (null = unbounded)
+    bonus: {
+      per_point: 0.001,          // currency units per point
+      min: 0,
+      max: 2.00,
+      currency: '$'
+    }
+  },
 
   // Environment (visual theming)
   env_warmth: 'warm',          // 'cool' | 'warm' | 'hot'
@@ -185,9 +340,28 @@ export const CONFIG = {
  * Apply URL overrides to CONFIG.
  * Supported parameters (examples):
  *  - N=20, p=0.75, seed=123, buffer=900, anim=1200
+ *  - doors=2|3|4 (default door count for sets that do not specify one)
+ *  - conf=calibrated|overconfident|underconfident|0 (drone confidence indicator)
+ *  - tx=none|rationale|rationale_uncertainty|pid (transparency level; `pid` counterbalances)
+ *  - keys=follow|door|pid (decision key scheme; `pid` counterbalances the key assignment)
+ *  - score=0|1 (mission scoring HUD + bonus)
+ *  - jas=0|1 (judge–advisor two-stage trials)
+ *  - delegate=0|1 (“delegate to drone” choices in the decision HUD)
+ *  - peek=0|1 (thermal peek during the decision window)
+ *  - rescan=0|1 (“ask drone to rescan” during the decision window)
+ *  - study=study_v1 (study definition conditions/<name>.json)
+ *  - gen=0|1, genseed=N (generate sets from conditions/design_v1.json)
+ *  - adapt=reliance|trust|0 (adaptive drone reliability rule), adapt_target=0.7 (reliance 0–1 or trust 0–100)
+ *  - crate=5|100|0 (post-decision confidence rating: 1–5, 0–100, off)
+ *  - traj=0|1 (pointer trajectory capture in the decision window)
+ *  - pause=0|1 (hold door trials while the tab is hidden or fullscreen is lost)
+ *  - fsguard=0|1 (fullscreen re-entry gate during door blocks)
+ *  - resume=0|1 (continue a refreshed session at the next unfinished trial)
+ *  - gamepad=0|1 (game controller input)
  *  - warmth=cool|warm|hot
  *  - env_pulse=0.3, env_show_pct=0|1
  *  - timeout=4000 (alias: timer)
+ *  - tact=auto_follow|auto_ignore|random_door|no_response|repeat_trial|none (timer_action)
  *  - rev=very_positive|…|very_negative
  *  - train=0|1, trainDemos=1, trainP=0.8, trainDwell=1200
  *  - seq=L R pairs: ?seq=LR,RL,LR (maps to [{true_location,suggestion}, …])
@@ -199,6 +373,26 @@ export function readConfigFromURL() {
   const p = parseFloat(sp.get('p'));
   const seed = parseInt(sp.get('seed'), 10);
   const seq = parseSequenceParam();
+  const doors = parseInt(sp.get('doors'), 10);
+  const conf = sp.get('conf');
+  const tx = sp.get('tx');
+  const keys = sp.get('keys');
+  const score = sp.get('score');
+  const jas = sp.get('jas');
+  const delegate = sp.get('delegate');
+  const peek = sp.get('peek');
+  const rescan = sp.get('rescan');
+  const crate = sp.get('crate');
+  const traj = sp.get('traj');
+  const pause = sp.get('pause');
+  const fsguard = sp.get('fsguard');
+  const resume = sp.get('resume');
+  const gamepad = sp.get('gamepad');
+  const study = sp.get('study');
+  const gen = sp.get('gen');
+  const genSeed = parseInt(sp.get('genseed'), 10);
+  const adapt = sp.get('adapt');
+  const adaptTarget = parseFloat(sp.get('adapt_target'));
 
   const buf = parseInt(sp.get('buffer'), 10);
   const anim = parseInt(sp.get('anim'), 10);
@@ -208,6 +402,7 @@ export function readConfigFromURL() {
   const showPct = sp.get('env_show_pct');
 
   const timeout = parseInt(sp.get('timeout') || sp.get('timer'), 10);
+  const tact = sp.get('tact');
   const rev = sp.get('rev');
 
   const trainFlag = sp.get('train');
@@ -219,6 +414,57 @@ export function readConfigFromURL() {
   if (!isNaN(p) && p >= 0 && p <= 1) CONFIG.drone_success_rate = p;
   if (!isNaN(seed)) CONFIG.seed = seed;
   if (seq && seq.length > 0) CONFIG.sequence = seq;
+  if (!isNaN(doors) && doors >= 2 && doors <= 4) CONFIG.door_count = doors;
+  if (conf === '0' || conf === 'false') CONFIG.drone_confidence.enabled = false;
+  if (conf && CONFIG.drone_confidence.models[conf]) {
+    CONFIG.drone_confidence.enabled = true;
+    CONFIG.drone_confidence.model = conf;
+  }
+  if (peek === '0' || peek === 'false') CONFIG.peek.enabled = false;
+  if (peek === '1' || peek === 'true') CONFIG.peek.enabled = true;
+  if (rescan === '0' || rescan === 'false') CONFIG.rescan.enabled = false;
+  if (rescan === '1' || rescan === 'true') CONFIG.rescan.enabled = true;
+  if (study && /^[\w-]+$/.test(study)) CONFIG.study_url = `conditions/${study}.json`;
+  if (gen === '0' || gen === 'false') CONFIG.set_generator.enabled = false;
+  if (gen === '1' || gen === 'true') CONFIG.set_generator.enabled = true;
+  if (!isNaN(genSeed)) CONFIG.set_generator.seed = genSeed;
+  if (adapt === '0' || adapt === 'false') CONFIG.adaptive.enabled = false;
+  if (adapt === 'reliance' || adapt === 'trust') {
+    CONFIG.adaptive.enabled = true;
+    CONFIG.adaptive.rule = adapt;
+  }
+  if (!isNaN(adaptTarget) && adaptTarget >= 0) {
+    if (CONFIG.adaptive.rule === 'trust') CONFIG.adaptive.target_trust = Math.min(100, adaptTarget);
+    else if (adaptTarget <= 1) CONFIG.adaptive.target_reliance = adaptTarget;
+  }
+  if (crate === '0' || crate === 'false') CONFIG.post_confidence.enabled = false;
+  if (crate === '5' || crate === '100') {
+    CONFIG.post_confidence.enabled = true;
+    CONFIG.post_confidence.scale = (crate === '5') ? 'likert5' : 'percent';
+  }
+  if (traj === '0' || traj === 'false') CONFIG.trajectory.enabled = false;
+  if (traj === '1' || traj === 'true') CONFIG.trajectory.enabled = true;
+  if (pause === '0' || pause === 'false') CONFIG.pause.enabled = false;
+  if (pause === '1' || pause === 'true') CONFIG.pause.enabled = true;
+  if (fsguard === '0' || fsguard === 'false') CONFIG.fullscreen_guard.enabled = false;
+  if (fsguard === '1' || fsguard === 'true') CONFIG.fullscreen_guard.enabled = true;
+  if (resume === '0' || resume === 'false') CONFIG.resume.enabled = false;
+  if (resume === '1' || resume === 'true') CONFIG.resume.enabled = true;
+  if (gamepad === '0' || gamepad === 'false') CONFIG.gamepad.enabled = false;
+  if (gamepad === '1' || gamepad === 'true') CONFIG.gamepad.enabled = true;
+  if (delegate === '0' || delegate === 'false') CONFIG.delegation.enabled = false;
+  if (delegate === '1' || delegate === 'true') CONFIG.delegation.enabled = true;
+  if (jas === '0' || jas === 'false') CONFIG.judge_advisor.enabled = false;
+  if (jas === '1' || jas === 'true') CONFIG.judge_advisor.enabled = true;
+  if (score === '0' || score === 'false') CONFIG.scoring.enabled = false;
+  if (score === '1' || score === 'true') CONFIG.scoring.enabled = true;
+  if (tx === 'pid') CONFIG.transparency.assign_by_pid = true;
+  if (tx === 'none' || tx === 'rationale' || tx === 'rationale_uncertainty') {
+    CONFIG.transparency.level = tx;
+    CONFIG.transparency.assign_by_pid = false;
+  }
+  if (keys === 'pid') CONFIG.response_keys.counterbalance = true;
+  if (keys === 'follow' || keys === 'door') CONFIG.response_keys.scheme = keys;
 
   if (!isNaN(buf) && buf >= 0) CONFIG.drone_buffer_ms = buf;
   if (!isNaN(anim) && anim >= 0) CONFIG.drone_anim_ms = anim;
@@ -230,6 +476,9 @@ export function readConfigFromURL() {
   if (showPct === '1' || showPct === 'true') CONFIG.env_show_pct = true;
 
   if (!isNaN(timeout) && timeout >= 0) CONFIG.decision_timeout_ms = timeout;
+  if (['auto_follow', 'auto_ignore', 'random_door', 'no_response', 'repeat_trial', 'none'].includes(tact)) {
+    CONFIG.timer_action = tact;
+  }
 
   if (
     ['very_positive', 'moderately_positive', 'slightly_positive', 'mixed',
@@ -244,14 +493,67 @@ export function readConfigFromURL() {
   if (!isNaN(trainDwell) && trainDwell >= 200) CONFIG.training.dwell_ms = trainDwell;
 }
 
+/**
+ * Apply CONFIG overrides (per-block `config` in the sets file).
+ * Plain objects merge key by key (e.g. a single risk level); other values replace.
+ * The previous top-level values are kept, never mutated, so restoring is exact.
+ *
+ * @param {object|null} overrides  { [configKey]: value }
+ * @returns {() => void} Restores the values in place before the call.
+ */
+export function applyConfigOverrides(overrides) {
+  const saved = {};
+  Object.keys(overrides || {}).forEach((k) => {
+    saved[k] = CONFIG[k];
+    CONFIG[k] = mergeOverride(CONFIG[k], overrides[k]);
+  });
+  return () => { Object.keys(saved).forEach((k) => { CONFIG[k] = saved[k]; }); };
+}
+
+/**
+ * Run `fn` with overrides applied (for values read while the timeline is built).
+ * @template T
+ * @param {object|null} overrides
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withConfigOverrides(overrides, fn) {
+  const restore = applyConfigOverrides(overrides);
+  try {
+    return fn();
+  } finally {
+    restore();
+  }
+}
+
+/**
+ * Override keys that are not CONFIG keys (typos in a sets file).
+ * @param {object} overrides
+ * @returns {string[]}
+ */
+export function unknownConfigKeys(overrides) {
+  return Object.keys(overrides || {}).filter(k => !Object.hasOwn(CONFIG, k));
+}
+
+function mergeOverride(base, value) {
+  const isPlain = (x) => x !== null && typeof x === 'object' && !Array.isArray(x);
+  if (!isPlain(base) || !isPlain(value)) return value;
+  const out = { ...base };
+  Object.keys(value).forEach((k) => { out[k] = mergeOverride(base[k], value[k]); });
+  return out;
+}
+
 /**
  * Generate or reuse a participant identifier (PID).
  * Behavior:
  *  - Respects explicit URL overrides (?participant_id=… | ?participant=…).
  *  - Uses `old=1` URL flag to avoid minting new IDs on refresh.
  *  - Guards double-click/rapid multi-tab by reusing a PID within ~4s.
+ *  - Returns null outside the browser (no `location`/`localStorage`).
  */
 function getPID() {
+  if (typeof location === 'undefined' || typeof localStorage === 'undefined') return null;
+
   const sp = new URLSearchParams(location.search);
 
   // Explicit override (e.g., lab integration)
@@ -0,0 +1,182 @@
+/**
+ * @file src/data/adaptive.js
+ * @brief Adaptive drone reliability: decides when each door trial starts whether the drone's
+ *        recommendation is a hit (suggestion = victim) or a miss, steering reliability so the
+ *        participant's reliance (or reported trust) stays near a target.
+ *
+ * Rules (CONFIG.adaptive.rule)
+ *  - 'reliance': staircase on the follow rate over the last `window` decisions; above the
+ *                target (± tolerance) reliability drops by `step`, below it rises by `step`.
+ *  - 'trust':    the same step rule on the latest trust probe (0–100) against `target_trust`;
+ *                one update per new probe.
+ * Reliability stays within [min_reliability, max_reliability]; after `max_error_run`
+ * consecutive misses the next trial is a hit.
+ *
+ * Behaviour is read from the jsPsych data store (main-task door trials and trust probes), so
+ * those trials need no hooks. The controller state and the behaviour read so far are kept
+ * across a page reload (src/data/session.js), where the data store starts empty. A decision counts as following when the opened door was the
+ * recommendation on screen (delegation included); timed-out trials and trials where no door
+ * opened are skipped.
+ *
+ * The set still supplies the victim door, risk and assets; only the suggestion is replaced
+ * (rescan plans are remapped so 'stay' still stays). Model-based `drone_confidence` is
+ * recomputed for the decided hit or miss, centred on the reliability used; explicit per-trial
+ * confidences from the set are kept as written.
+ */
+
+import { CONFIG } from '../config.js';
+import { doorLabel } from '../scene/doors.js';
+import { modelConfidence } from './sets.js';
+import { keepOnResume } from './session.js';
+
+/** Controller state for the session (blocks share it, so calibration carries over). */
+const state = {
+  reliability: null,
+  trials: 0,
+  hits: 0,
+  errorRun: 0,
+  decisionsSeen: 0,
+  probesSeen: 0,
+  reliance: null,
+  trust: null
+};
+
+/** Behaviour from before the last page reload, ahead of what the data store holds now. */
+const carried = { decisions: [], probes: [] };
+
+keepOnResume('adaptive', {
+  save: () => ({ state: { ...state }, history: readHistory() }),
+  restore: ({ state: saved, history }) => {
+    Object.assign(state, saved);
+    carried.decisions = history?.decisions || [];
+    carried.probes = history?.probes || [];
+  }
+});
+
+/**
+ * True when the controller decides suggestions for this block.
+ * @param {number} blockIndex  0-based block index.
+ * @returns {boolean}
+ */
+export function adaptiveApplies(blockIndex) {
+  const A = CONFIG.adaptive || {};
+  if (!A.enabled) return false;
+  return !Array.isArray(A.blocks) || A.blocks.map(Number).includes(blockIndex + 1);
+}
+
+/**
+ * Decide the next trial's suggestion and stamp the controller state onto it.
+ * Call when the trial starts, after the previous trial and any probe have finished.
+ *
+ * @param {object} t              Trial payload (`true_door`, `suggested_door`, `door_count`, …).
+ * @param {() => number} randFn   RNG in [0,1).
+ * @returns {object} A copy of `t` with `suggested_door`/`suggestion` decided, model-based
+ *   `drone_confidence` recomputed for it (set value kept as `set_drone_confidence`), and `adaptive_*` fields:
+ *   adaptive_rule, adaptive_reliability (hit probability used), adaptive_hit,
+ *   adaptive_reliance (follow rate in the window), adaptive_trust (latest probe, 0–100),
+ *   adaptive_error_run (misses just before this trial), adaptive_trial (1-based count),
+ *   adaptive_hit_rate (realised so far, this trial included).
+ */
+export function prepareAdaptiveTrial(t, randFn = Math.random) {
+  const A = CONFIG.adaptive || {};
+  if (state.reliability === null) state.reliability = clampReliability(A.start_reliability ?? 0.8);
+  updateReliability(A);
+
+  const p = state.reliability;
+  const forced = state.errorRun >= (A.max_error_run ?? Infinity);
+  const hit = forced || randFn() < p;
+  const errorRunBefore = state.errorRun;
+
+  const doorCount = t.door_count;
+  const others = Array.from({ length: doorCount }, (_, i) => i).filter(i => i !== t.true_door);
+  const suggested = hit ? t.true_door : others[Math.floor(randFn() * others.length)];
+
+  state.trials++;
+  if (hit) { state.hits++; state.errorRun = 0; } else { state.errorRun++; }
+
+  // Keep rescan plans relative to the new recommendation ('stay' stays, 'flip' moves away).
+  const swap = (d) => (d === t.suggested_door) ? suggested : (d === suggested) ? t.suggested_door : d;
+
+  // Model confidence follows the recommendation actually shown.
+  const confidence = (t.confidence_source === 'model' && t.confidence_model)
+    ? { drone_confidence: modelConfidence(t.confidence_model, hit, p, doorCount, randFn), set_drone_confidence: t.drone_confidence }
+    : {};
+
+  return {
+    ...t,
+    ...confidence,
+    suggested_door: suggested,
+    suggestion: doorLabel(suggested, doorCount),
+    rescan_doors: Array.isArray(t.rescan_doors) ? t.rescan_doors.map(swap) : t.rescan_doors,
+    set_suggested_door: t.suggested_door,
+    adaptive_rule: A.rule,
+    adaptive_reliability: round3(p),
+    adaptive_hit: hit,
+    adaptive_forced_hit: forced,
+    adaptive_reliance: state.reliance === null ? null : round3(state.reliance),
+    adaptive_trust: state.trust,
+    adaptive_error_run: errorRunBefore,
+    adaptive_trial: state.trials,
+    adaptive_hit_rate: round3(state.hits / state.trials)
+  };
+}
+
+/** Step reliability towards the target from behaviour logged since the last update. */
+function updateReliability(A) {
+  const { decisions, probes } = readHistory();
+  const tol = A.tolerance ?? 0;
+
+  if (A.rule === 'trust') {
+    if (probes.length > state.probesSeen) {
+      state.probesSeen = probes.length;
+      state.trust = probes[probes.length - 1];
+      stepTowards((state.trust - (A.target_trust ?? 60)) / 100, tol, A.step);
+    }
+    return;
+  }
+
+  if (decisions.length > state.decisionsSeen) {
+    state.decisionsSeen = decisions.length;
+    const recent = decisions.slice(-Math.max(1, A.window ?? 6));
+    if (recent.length >= (A.min_trials ?? 1)) {
+      state.reliance = recent.filter(Boolean).length / recent.length;
+      stepTowards(state.reliance - (A.target_reliance ?? 0.7), tol, A.step);
+    }
+  }
+}
+
+/** Above target → less reliable drone; below → more reliable. */
+function stepTowards(diff, tol, step = 0.05) {
+  if (diff > tol) state.reliability = clampReliability(state.reliability - step);
+  else if (diff < -tol) state.reliability = clampReliability(state.reliability + step);
+}
+
+/**
+ * Main-task decisions (true = followed) and trust probe values, in order, including those
+ * carried over a reload.
+ * @returns {{decisions: boolean[], probes: number[]}}
+ */
+function readHistory() {
+  const rows = (typeof jsPsych !== 'undefined') ? jsPsych.data.get().values() : [];
+  const decisions = carried.decisions.slice();
+  const probes = carried.probes.slice();
+  rows.forEach((d) => {
+    if (d.event_type === 'door_trial' && !d.is_demo && !d.is_training) {
+      if (d.decision_mode === 'timeout' || !Number.isInteger(d.chosen_door)) return;
+      const shown = Number.isInteger(d.final_suggested_door) ? d.final_suggested_door : d.suggested_door;
+      decisions.push(d.chosen_door === shown);
+    } else if (d.event_type === 'trust_probe_mid' && typeof d.slider_value === 'number') {
+      probes.push(d.slider_value);
+    }
+  });
+  return { decisions, probes };
+}
+
+function clampReliability(p) {
+  const A = CONFIG.adaptive || {};
+  return round3(Math.max(A.min_reliability ?? 0, Math.min(A.max_reliability ?? 1, p)));
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
@@ -7,16 +7,15 @@
  *  - Fetch typed manifests (JSON) for each asset family with cache-busting for development.
  *  - Provide safe fallbacks if manifests are missing or invalid.
  *  - Expose preloading lists (ALL_SMOKE / ALL_FIRE) and per-trial pickers (no immediate repeats).
- *  - Keep selections deterministic via a seeded RNG when CONFIG.seed is provided.
+ *  - Draw every selection from the session RNG (`randSeeded`; CONFIG.seed when set), so a
+ *    session rebuilt after a refresh picks the same assets (see session.js).
  *
  * Contracts / Notes
- *  - This module reads CONFIG.seed and may use a global `mulberry32(seed)` RNG if present.
- *    (Do not change behavior here—if `mulberry32` is provided elsewhere, this module will use it.)
  *  - Paths returned to callers are relative to the app root (e.g., "assets/...").
  *  - No UI/behavior changes—only asset discovery and selection utilities.
  */
 
-import { CONFIG } from '../config.js';
+import { sessionRng } from './session.js';
 
 /* Manifest locations (JSON arrays of filenames or paths) */
 const VICTIM_MANIFEST_URL = new URL('../../assets/victims/manifest.json', import.meta.url);
@@ -147,12 +146,8 @@ export async function loadEmptySkins() {
   return list || DEFAULT_EMPTY_SKINS.slice();
 }
 
-/* Deterministic RNG selection. Expects a global mulberry32(seed) if provided elsewhere. */
-let randSeed = Math.random;
-if (CONFIG.seed !== null) randSeed = mulberry32(CONFIG.seed);
-
-/** RNG to use throughout the module (deterministic when CONFIG.seed is set). */
-export const randSeeded = randSeed;
+/** Session RNG used throughout the app (seeded per session; resumable, see session.js). */
+export const randSeeded = sessionRng;
 
 /** Victim skins (manifest or fallback). */
 export const VICTIMS = await loadVictimSkins();
@@ -0,0 +1,60 @@
+/**
+ * @file src/data/blockFlow.js
+ * @brief Inter-block content from the set definition: what runs after each door block
+ *        (questionnaires, probes, breaks, narrative screens). DOM-free; used by the set loader
+ *        and the validator. `blocks.js` turns the items into timeline nodes.
+ *
+ * Sets JSON
+ *  - `between` (on a set): items after every block except the last (default below).
+ *  - `after` (on a block): items after that block; overrides `between`, `[]` for none.
+ *    The last block only has content when it sets `after`.
+ *
+ * Items: a type name, or an object with `type` and options
+ *  - 'trust14'                                  14-item Trust questionnaire (questionnaire14mid<k>)
+ *  - 'trust40'                                  40-item Trust questionnaire (questionnaire40mid<k>)
+ *  - 'probe'                                    single trust probe
+ *  - { type: 'break', seconds?, text? }         rest screen; Continue unlocks after `seconds`
+ *  - { type: 'narrative', title?, html, button? }  story/instruction screen
+ * `k` is the 1-based number of the block the content follows.
+ */
+
+/** Supported item types. */
+export const INTER_BLOCK_TYPES = ['trust14', 'trust40', 'probe', 'break', 'narrative'];
+
+/** Content between blocks when a set does not define any (Trust-14 + probe). */
+export const DEFAULT_BETWEEN = ['trust14', 'probe'];
+
+/**
+ * Normalized items shown after block `b`.
+ * @param {object} set          Raw set (`between`).
+ * @param {object} blk          Raw block (`after`).
+ * @param {number} b            0-based block index.
+ * @param {number} blockCount
+ * @returns {{type: string}[]}
+ * @throws {Error} On unknown types or malformed options (message without set/block prefix).
+ */
+export function resolveInterBlock(set, blk, b, blockCount) {
+  const isLast = b === blockCount - 1;
+  const spec = (blk.after !== undefined && blk.after !== null) ? blk.after
+    : isLast ? []
+    : (set.between ?? DEFAULT_BETWEEN);
+  if (!Array.isArray(spec)) throw new Error('after/between must be a list of items');
+  return spec.map(normalizeItem);
+}
+
+function normalizeItem(item) {
+  const o = (typeof item === 'string') ? { type: item } : item;
+  if (!o || typeof o !== 'object' || !INTER_BLOCK_TYPES.includes(o.type)) {
+    throw new Error(`inter-block item must be one of ${INTER_BLOCK_TYPES.join('|')} (got ${JSON.stringify(item)})`);
+  }
+  if (o.type === 'break') {
+    const seconds = Number(o.seconds ?? 0);
+    if (!isFinite(seconds) || seconds < 0) throw new Error('break seconds must be a number ≥ 0');
+    return { type: 'break', seconds, text: o.text ?? null };
+  }
+  if (o.type === 'narrative') {
+    if (typeof o.html !== 'string' || !o.html.trim()) throw new Error('narrative needs non-empty html');
+    return { type: 'narrative', title: o.title ?? null, html: o.html, button: o.button ?? null };
+  }
+  return { type: o.type };
+}
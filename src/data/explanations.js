@@ -0,0 +1,134 @@
+/**
+ * @file src/data/explanations.js
+ * @brief Transparency manipulation for drone recommendations: loads explanation templates,
+ *        resolves the transparency level, and attaches a rationale (and optional uncertainty
+ *        statement) to each door trial.
+ *
+ * Levels
+ *  - 'none':                  recommendation only (classic HUD).
+ *  - 'rationale':             short sensor-based reason for the recommendation.
+ *  - 'rationale_uncertainty': reason plus a statement of how certain the drone is.
+ *
+ * Level precedence: block/set `transparency` (sets JSON) → participant level from CONFIG.
+ * Templates live in `assets/reviews/explanations.json`:
+ *  - `rationale[risk_key][]`    { id, text } with `{door}` replaced by the suggested door name.
+ *  - `uncertainty[band][]`      { id, text } for bands low|medium|high uncertainty.
+ */
+
+import { CONFIG, pid } from '../config.js';
+import { doorDisplayName } from '../scene/doors.js';
+import { fnv1a } from '../utils/rng.js';
+
+/** Supported transparency levels, in increasing order of disclosure. */
+export const TRANSPARENCY_LEVELS = ['none', 'rationale', 'rationale_uncertainty'];
+
+/**
+ * Load explanation templates from disk. Ensures both sections exist.
+ * @returns {Promise<null|{rationale: Record<string, Array>, uncertainty: Record<string, Array>}>}
+ */
+export async function loadExplanationTemplates() {
+  try {
+    const res = await fetch('assets/reviews/explanations.json', { cache: 'no-store' });
+    if (!res.ok) throw new Error('explanations fetch failed');
+    const data = await res.json();
+    data.rationale   = (data.rationale   && typeof data.rationale   === 'object') ? data.rationale   : {};
+    data.uncertainty = (data.uncertainty && typeof data.uncertainty === 'object') ? data.uncertainty : {};
+    return data;
+  } catch (e) {
+    console.warn('Explanations JSON missing/invalid; rationales disabled.', e);
+    return null;
+  }
+}
+
+/**
+ * Participant-level transparency: a fixed `CONFIG.transparency.level`, or a
+ * deterministic pick from `TRANSPARENCY_LEVELS` by hash(pid) when `assign_by_pid` is set.
+ * @returns {string}
+ */
+export function resolveParticipantTransparency() {
+  const T = CONFIG.transparency || {};
+  if (T.assign_by_pid) {
+    const who = CONFIG.participant_id || pid || 'anon';
+    return TRANSPARENCY_LEVELS[fnv1a(who) % TRANSPARENCY_LEVELS.length];
+  }
+  return TRANSPARENCY_LEVELS.includes(T.level) ? T.level : 'none';
+}
+
+/**
+ * Attach the explanation shown in the decision HUD to each trial of a block.
+ * Templates are drawn without immediate repeats per bucket.
+ *
+ * @param {Array} trials            Asset-augmented trials (need `risk_key`, `suggested_door`, `door_count`).
+ * @param {object|null} templates   Result of `loadExplanationTemplates()`.
+ * @param {string} level            One of `TRANSPARENCY_LEVELS`.
+ * @param {() => number} randFn     RNG in [0,1).
+ * @returns {Array} Trials with `transparency_level`, `explanation_id`, `explanation_text`.
+ */
+export function attachExplanations(trials, templates, level, randFn = Math.random) {
+  return trials.map(makeExplainer(templates, level, randFn));
+}
+
+/**
+ * Per-trial form of `attachExplanations`, for trials whose suggestion is only known
+ * when they start (adaptive reliability). Calls share the no-repeat memory.
+ *
+ * @param {object|null} templates   Result of `loadExplanationTemplates()`.
+ * @param {string} level            One of `TRANSPARENCY_LEVELS`.
+ * @param {() => number} randFn     RNG in [0,1).
+ * @returns {(t: object) => object} Maps a trial to the trial with its explanation fields.
+ */
+export function makeExplainer(templates, level, randFn = Math.random) {
+  const lastPick = {};
+  const pick = (section, key) => {
+    const pool = (templates && templates[section] && templates[section][key]) || [];
+    if (!pool.length) return null;
+    const prev = lastPick[section + ':' + key];
+    const options = (pool.length > 1 && prev) ? pool.filter(x => x.id !== prev) : pool;
+    const item = options[Math.floor(randFn() * options.length)];
+    lastPick[section + ':' + key] = item.id;
+    return item;
+  };
+
+  return (t) => {
+    if (!templates || level === 'none') {
+      return { ...t, transparency_level: level, explanation_id: null, explanation_text: null };
+    }
+
+    const reason = pick('rationale', t.risk_key || 'medium');
+    if (!reason) {
+      return { ...t, transparency_level: level, explanation_id: null, explanation_text: null };
+    }
+
+    const ids   = [reason.id];
+    const parts = [reason.text.replace(/\{door\}/g, doorDisplayName(t.suggested_door, t.door_count))];
+
+    if (level === 'rationale_uncertainty') {
+      const hedge = pick('uncertainty', uncertaintyBand(t));
+      if (hedge) {
+        ids.push(hedge.id);
+        parts.push(hedge.text);
+      }
+    }
+
+    return {
+      ...t,
+      transparency_level: level,
+      explanation_id:     ids.join('+'),
+      explanation_text:   parts.join(' ')
+    };
+  };
+}
+
+/**
+ * Uncertainty band for a trial: from the drone's stated confidence when present,
+ * otherwise from the scene risk (riskier scenes → less certain readings).
+ * @param {{drone_confidence?: number|null, risk_value?: number}} t
+ * @returns {'low'|'medium'|'high'}
+ */
+function uncertaintyBand(t) {
+  if (typeof t.drone_confidence === 'number') {
+    return (t.drone_confidence >= 0.8) ? 'low' : (t.drone_confidence >= 0.6) ? 'medium' : 'high';
+  }
+  const r = (typeof t.risk_value === 'number') ? t.risk_value : 0.5;
+  return (r <= 0.2) ? 'low' : (r <= 0.5) ? 'medium' : 'high';
+}
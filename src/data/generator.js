@@ -0,0 +1,253 @@
+/**
+ * @file src/data/generator.js
+ * @brief Procedural condition-set generator: builds `sets_v1.json`-shaped sets from a design
+ *        (per-block constraints) and a seed. DOM-free; used by `loadTrialsBlocks` (browser)
+ *        and `scripts/generate-sets.mjs` (Node).
+ *
+ * Design shape (see conditions/design_v1.json)
+ *  {
+ *    seed?: number,
+ *    doors?: 2|3|4,
+ *    risk_keys?: string[],                    // default: low|medium|high|extreme
+ *    defaults?: { …block constraints },       // applied to every block
+ *    sets: { [setId]: { blocks: [{ …block constraints }], …pass-through set fields } }
+ *  }
+ *
+ * Block constraints
+ *  - trials: number of trials (default 20)
+ *  - reliability: share of trials where suggestion === victim (errors = round(trials × (1 − reliability)))
+ *  - max_error_run: longest allowed run of consecutive errors
+ *  - lead_in: number of opening trials that must be correct
+ *  - error_positions: 'any' | 'early' | 'late' | explicit 1-based indices (explicit indices set the
+ *    errors exactly: they must respect lead_in and max_error_run, and a count that differs from
+ *    the one `reliability` gives is reported in the block's `generator_warnings`)
+ *  - balance_risk: risk keys spread evenly within each correctness cell (else uniform draws)
+ *  - balance_sides: victim doors spread evenly within each correctness cell (else uniform draws)
+ *  - probes: explicit 1-based indices, or { count, min_gap, margin, after_error: 'any'|'avoid'|'only' }
+ * Any other block/set field (e.g. `transparency`, `confidence_model`, `post_confidence`) is copied
+ * to the output unchanged. Blocks the generator had to warn about carry `generator_warnings`
+ * (strings), which validate-sets.mjs prints and the browser logs on the block's rows.
+ *
+ * Reproducibility: each set draws from mulberry32(seed ⊕ fnv1a(setId)), so a set does not change
+ * when other sets are added to or removed from the design.
+ */
+
+import { mulberry32, fnv1a } from '../utils/rng.js';
+
+/** Risk keys used when the design does not list its own. */
+export const DEFAULT_RISK_KEYS = ['low', 'medium', 'high', 'extreme'];
+
+/** Block constraint defaults (overridden by `design.defaults`, then by each block). */
+export const BLOCK_DEFAULTS = {
+  trials: 20,
+  reliability: 0.8,
+  max_error_run: 3,
+  lead_in: 0,
+  error_positions: 'any',
+  balance_risk: true,
+  balance_sides: true,
+  probes: { count: 3, min_gap: 3, margin: 3, after_error: 'any' }
+};
+
+/** Keys consumed by the generator (everything else on a block is passed through). */
+const CONSTRAINT_KEYS = Object.keys(BLOCK_DEFAULTS);
+
+/** Attempts per randomized placement before the constraints are reported as unsatisfiable. */
+const MAX_ATTEMPTS = 2000;
+
+/**
+ * Generate all sets of a design.
+ * @param {object} design
+ * @param {number} [seed]  Overrides `design.seed`.
+ * @returns {Record<string, {blocks: Array}>} Sets keyed by id, in the sets_v1.json shape.
+ */
+export function generateSets(design, seed) {
+  if (!design || typeof design.sets !== 'object' || !Object.keys(design.sets).length) {
+    throw new Error('Design malformed: missing `sets` object with content.');
+  }
+  const baseSeed = Number.isFinite(Number(seed)) ? Number(seed) : Number(design.seed ?? 0);
+
+  const out = {};
+  for (const [setId, setDef] of Object.entries(design.sets)) {
+    out[setId] = generateSet(setId, setDef, design, baseSeed);
+  }
+  return out;
+}
+
+/**
+ * Generate one set.
+ * @param {string} setId
+ * @param {object} setDef    `{ blocks: [...], …pass-through }`
+ * @param {object} design    Full design (doors, risk_keys, defaults).
+ * @param {number} baseSeed
+ * @returns {{blocks: Array}}
+ */
+export function generateSet(setId, setDef, design = {}, baseSeed = 0) {
+  if (!setDef || !Array.isArray(setDef.blocks) || !setDef.blocks.length) {
+    throw new Error(`Design set '${setId}' malformed: missing 'blocks' array with content.`);
+  }
+  const rand     = mulberry32((baseSeed ^ fnv1a(setId)) >>> 0);
+  const riskKeys = Array.isArray(design.risk_keys) && design.risk_keys.length ? design.risk_keys : DEFAULT_RISK_KEYS;
+  const doors    = Number(setDef.doors ?? design.doors ?? 2);
+
+  const { blocks, ...setExtras } = setDef;
+  return {
+    ...setExtras,
+    blocks: blocks.map((blk, b) => {
+      const c = { ...BLOCK_DEFAULTS, ...(design.defaults || {}), ...blk };
+      const doorCount = Number(blk.doors ?? doors);
+      const where = `Design set '${setId}' block ${b}`;
+
+      const warnings = [];
+      const errors = placeErrors(c, rand, where, 'reliability' in blk || 'reliability' in (design.defaults || {}), warnings);
+      const trials = buildTrials(c, errors, doorCount, riskKeys, rand);
+      const probes = placeProbes(c.probes, c.trials, errors, rand, where);
+
+      const extras = {};
+      Object.keys(blk).forEach((k) => { if (!CONSTRAINT_KEYS.includes(k)) extras[k] = blk[k]; });
+      if (warnings.length) extras.generator_warnings = warnings;
+      return { ...extras, probes, trials };
+    })
+  };
+}
+
+/**
+ * Choose which trials are errors (suggestion ≠ victim).
+ * @param {boolean} [reliabilityGiven]  The design sets `reliability` (checked against explicit positions).
+ * @param {string[]} [warnings]          Receives non-fatal findings for the block.
+ * @returns {boolean[]} isError per trial.
+ */
+function placeErrors(c, rand, where, reliabilityGiven = false, warnings = []) {
+  const N = c.trials;
+  const nErr = Math.round(N * (1 - c.reliability));
+  const lead = Math.max(0, c.lead_in | 0);
+
+  if (Array.isArray(c.error_positions)) {
+    const isErr = Array(N).fill(false);
+    c.error_positions.forEach((p) => {
+      if (!(p >= 1 && p <= N)) throw new Error(`${where}: error position ${p} outside 1–${N}.`);
+      if (p <= lead) throw new Error(`${where}: error position ${p} falls inside a lead-in of ${lead}.`);
+      isErr[p - 1] = true;
+    });
+    if (longestRun(isErr) > c.max_error_run) {
+      throw new Error(`${where}: error positions make a run of ${longestRun(isErr)} errors (max_error_run=${c.max_error_run}).`);
+    }
+    const count = isErr.filter(Boolean).length;
+    if (reliabilityGiven && count !== nErr) {
+      warnings.push(`${count} explicit error positions, but reliability=${c.reliability} gives ${nErr}; using the positions`);
+    }
+    return isErr;
+  }
+
+  const slots = [];
+  for (let i = lead; i < N; i++) slots.push(i);
+  if (nErr > slots.length) throw new Error(`${where}: ${nErr} errors do not fit after a lead-in of ${lead}.`);
+
+  // Position bias: linear weights towards the start ('early') or end ('late').
+  const weight = (i) => (c.error_positions === 'early') ? (N - i)
+    : (c.error_positions === 'late') ? (i + 1)
+    : 1;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const pool = slots.slice();
+    const isErr = Array(N).fill(false);
+    for (let k = 0; k < nErr; k++) {
+      const total = pool.reduce((a, i) => a + weight(i), 0);
+      let r = rand() * total;
+      let j = 0;
+      while (j < pool.length - 1 && (r -= weight(pool[j])) > 0) j++;
+      isErr[pool[j]] = true;
+      pool.splice(j, 1);
+    }
+    if (longestRun(isErr) <= c.max_error_run) return isErr;
+  }
+  throw new Error(`${where}: cannot place ${nErr} errors with max_error_run=${c.max_error_run}.`);
+}
+
+/**
+ * Assign risk and victim/suggestion doors, balanced within each correctness cell.
+ * @returns {{victim: string|number, suggestion: string|number, risk: string}[]}
+ */
+function buildTrials(c, isErr, doorCount, riskKeys, rand) {
+  const N = c.trials;
+  const doors = Array.from({ length: doorCount }, (_, i) => i);
+  const risk = Array(N);
+  const victim = Array(N);
+
+  [true, false].forEach((cell) => {
+    const idx = isErr.map((e, i) => (e === cell ? i : -1)).filter(i => i >= 0);
+    const risks = c.balance_risk ? balancedList(riskKeys, idx.length, rand) : idx.map(() => pick(riskKeys, rand));
+    const sides = c.balance_sides ? balancedList(doors, idx.length, rand) : idx.map(() => pick(doors, rand));
+    idx.forEach((i, k) => { risk[i] = risks[k]; victim[i] = sides[k]; });
+  });
+
+  // Two-door sets keep the L/R tokens of sets_v1.json; 3–4 doors use indices.
+  const token = (d) => (doorCount === 2) ? (d === 0 ? 'L' : 'R') : d;
+  return victim.map((v, i) => {
+    const s = isErr[i] ? pick(doors.filter(d => d !== v), rand) : v;
+    return { victim: token(v), suggestion: token(s), risk: risk[i] };
+  });
+}
+
+/**
+ * Probe indices (1-based; a probe follows that trial).
+ * @returns {number[]}
+ */
+function placeProbes(spec, N, isErr, rand, where) {
+  if (Array.isArray(spec)) return spec.slice();
+  if (!spec || !spec.count) return [];
+
+  const count  = spec.count;
+  const minGap = Math.max(1, spec.min_gap ?? 1);
+  const margin = Math.max(1, spec.margin ?? 1);
+  const mode   = spec.after_error || 'any';
+
+  // Candidates leave `margin` trials before the first probe and after the last.
+  const candidates = [];
+  for (let p = margin; p <= N - margin; p++) {
+    if (mode === 'avoid' && isErr[p - 1]) continue;
+    if (mode === 'only' && !isErr[p - 1]) continue;
+    candidates.push(p);
+  }
+
+  // Spread: one draw per equal-width segment of the candidate range, then check the gaps.
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const picks = [];
+    for (let k = 0; k < count; k++) {
+      const lo = Math.floor(k * candidates.length / count);
+      const hi = Math.floor((k + 1) * candidates.length / count);
+      const seg = candidates.slice(lo, Math.max(lo + 1, hi));
+      if (seg.length) picks.push(pick(seg, rand));
+    }
+    const ok = picks.length === count && picks.every((p, k) => k === 0 || p - picks[k - 1] >= minGap);
+    if (ok) return picks;
+  }
+  throw new Error(`${where}: cannot place ${count} probes (min_gap=${minGap}, margin=${margin}, after_error=${mode}).`);
+}
+
+/** Longest run of `true` values. */
+export function longestRun(flags) {
+  let best = 0;
+  let cur = 0;
+  flags.forEach((f) => { cur = f ? cur + 1 : 0; best = Math.max(best, cur); });
+  return best;
+}
+
+/** `n` items cycling through `values` (each used ⌊n/k⌋ or ⌈n/k⌉ times), shuffled. */
+function balancedList(values, n, rand) {
+  const order = shuffle(values.slice(), rand);
+  return shuffle(Array.from({ length: n }, (_, i) => order[i % order.length]), rand);
+}
+
+function pick(arr, rand) {
+  return arr[Math.floor(rand() * arr.length)];
+}
+
+/** In-place Fisher–Yates shuffle. */
+function shuffle(arr, rand) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
@@ -0,0 +1,89 @@
+/**
+ * @file src/data/responseKeys.js
+ * @brief Keyboard mapping for the door decision, resolved once per participant from
+ *        `CONFIG.response_keys`.
+ *
+ * Schemes
+ *  - 'follow': one key follows the drone, one picks the other door (classic F / N).
+ *  - 'door':   one key per door, left → right (two-door scenes); the door under the drone
+ *              counts as following.
+ * Scenes with 3+ doors always pick doors with the number keys 1–n.
+ *
+ * With `counterbalance` the follow/other keys swap for half of the participants (hash of the
+ * PID). Door keys are never swapped: the left key always opens the left door.
+ * Keys must be distinct and must not clash with the HUD's fixed keys (D, B, R, digits);
+ * an invalid mapping falls back to the defaults.
+ *
+ * Logged as `key_scheme` and `key_map` (e.g. 'follow:f,other:n' or 'left:arrowleft,right:arrowright').
+ */
+
+import { CONFIG, pid } from '../config.js';
+import { fnv1a } from '../utils/rng.js';
+
+/** Supported response schemes. */
+export const RESPONSE_SCHEMES = ['follow', 'door'];
+
+const DEFAULTS = { scheme: 'follow', follow: 'f', other: 'n', doors: ['ArrowLeft', 'ArrowRight'] };
+const RESERVED = ['d', 'b', 'r'];
+
+let resolved = null;
+
+/**
+ * Display label for a `KeyboardEvent.key` value ('f' → 'F', 'ArrowLeft' → '←').
+ * @param {string} key
+ * @returns {string}
+ */
+export function keyLabel(key) {
+  const arrows = { arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓' };
+  const k = String(key);
+  if (arrows[k.toLowerCase()]) return arrows[k.toLowerCase()];
+  if (k === ' ') return 'Space';
+  return (k.length === 1) ? k.toUpperCase() : k;
+}
+
+/**
+ * Participant mapping: scheme, keys (lower-case `KeyboardEvent.key` values) and their labels.
+ * Resolved on first use, after URL overrides are applied.
+ * @returns {{scheme: 'follow'|'door', follow: string, other: string, doors: string[], swapped: boolean,
+ *            labels: {follow: string, other: string, doors: string[]}, key_map: string}}
+ */
+export function resolveResponseKeys() {
+  if (resolved) return resolved;
+  const R = CONFIG.response_keys || {};
+  const scheme = RESPONSE_SCHEMES.includes(R.scheme) ? R.scheme : DEFAULTS.scheme;
+
+  let pair = (scheme === 'door')
+    ? (Array.isArray(R.doors) ? R.doors : DEFAULTS.doors)
+    : [R.follow ?? DEFAULTS.follow, R.other ?? DEFAULTS.other];
+  pair = pair.slice(0, 2).map(k => String(k).toLowerCase());
+  if (!validPair(pair)) {
+    console.warn('[keys] Invalid response_keys; using defaults.', R);
+    pair = (scheme === 'door' ? DEFAULTS.doors : [DEFAULTS.follow, DEFAULTS.other]).map(k => k.toLowerCase());
+  }
+
+  const swapped = scheme === 'follow' && !!R.counterbalance && (fnv1a(`${CONFIG.participant_id || pid || 'anon'}::keys`) % 2 === 1);
+  if (swapped) pair.reverse();
+
+  const [a, b] = pair;
+  const names = (scheme === 'door') ? ['left', 'right'] : ['follow', 'other'];
+  resolved = {
+    scheme,
+    follow: (scheme === 'follow') ? a : null,
+    other:  (scheme === 'follow') ? b : null,
+    doors:  (scheme === 'door') ? [a, b] : [],
+    swapped,
+    labels: {
+      follow: (scheme === 'follow') ? keyLabel(a) : null,
+      other:  (scheme === 'follow') ? keyLabel(b) : null,
+      doors:  (scheme === 'door') ? [keyLabel(a), keyLabel(b)] : []
+    },
+    key_map: `${names[0]}:${a},${names[1]}:${b}`
+  };
+  return resolved;
+}
+
+function validPair(pair) {
+  return pair.length === 2
+    && pair.every(k => k && !RESERVED.includes(k) && !/^[0-9]$/.test(k))
+    && pair[0] !== pair[1];
+}
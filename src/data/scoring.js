@@ -0,0 +1,87 @@
+/**
+ * @file src/data/scoring.js
+ * @brief Mission scoring: per-trial points, running session total, and bonus conversion.
+ *
+ * Model (see CONFIG.scoring)
+ *  - Victim found (correct door):  +points_victim
+ *  - Wrong door:                    -penalty_wrong
+ *  - Timeout (stacks on outcome):   -penalty_timeout
+ *  - No door opened (time expired): -penalty_timeout only
+ *  - Each thermal peek:             -CONFIG.peek.cost_points
+ *  The running total never drops below `floor` (when set).
+ *
+ * Bonus
+ *  - bonus = clamp(total × bonus.per_point, bonus.min, bonus.max), rounded to cents.
+ *
+ * Only main-task door trials are scored; demos and training never touch the total.
+ */
+
+import { CONFIG } from '../config.js';
+
+let total = null;
+let scoredTrials = 0;
+
+/** True when the scoring model is active for this session. */
+export function scoringEnabled() {
+  return !!(CONFIG.scoring && CONFIG.scoring.enabled);
+}
+
+/**
+ * Current running total (starts at `CONFIG.scoring.start`).
+ * @returns {number}
+ */
+export function getScore() {
+  if (total === null) total = Number(CONFIG.scoring?.start ?? 0);
+  return total;
+}
+
+/**
+ * Apply one door-trial outcome to the running total.
+ * @param {{correct: boolean|null, timed_out: boolean, peeks?: number}} outcome  `correct: null` = no door opened.
+ * @returns {{score_delta: number, score_total: number}}
+ */
+export function scoreTrial({ correct, timed_out, peeks = 0 }) {
+  const S = CONFIG.scoring || {};
+  let delta = (correct === null) ? 0 : correct ? (S.points_victim ?? 0) : -(S.penalty_wrong ?? 0);
+  if (timed_out) delta -= (S.penalty_timeout ?? 0);
+  delta -= peeks * (CONFIG.peek?.cost_points ?? 0);
+
+  const before = getScore();
+  let after = before + delta;
+  if (typeof S.floor === 'number') after = Math.max(S.floor, after);
+
+  total = after;
+  scoredTrials++;
+  return { score_delta: after - before, score_total: after };
+}
+
+/**
+ * Restore the running total after a page refresh (src/data/session.js).
+ * @param {{score_total: number, scored_trials: number}} saved
+ */
+export function restoreScore({ score_total, scored_trials }) {
+  if (typeof score_total === 'number') total = score_total;
+  if (typeof scored_trials === 'number') scoredTrials = scored_trials;
+}
+
+/**
+ * Convert a score to a bonus amount using `CONFIG.scoring.bonus`.
+ * @param {number} [score=getScore()]
+ * @returns {{bonus_amount: number, bonus_currency: string, bonus_text: string}}
+ */
+export function computeBonus(score = getScore()) {
+  const B = CONFIG.scoring?.bonus || {};
+  const raw = score * (B.per_point ?? 0);
+  const clamped = Math.max(B.min ?? 0, Math.min(B.max ?? Infinity, raw));
+  const amount = Math.round(clamped * 100) / 100;
+  const currency = B.currency || '$';
+  return { bonus_amount: amount, bonus_currency: currency, bonus_text: currency + amount.toFixed(2) };
+}
+
+/**
+ * Session summary payload for logging and the final screen.
+ * @returns {{score_total: number, scored_trials: number, bonus_amount: number, bonus_currency: string, bonus_text: string}}
+ */
+export function scoreSummary() {
+  return { score_total: getScore(), scored_trials: scoredTrials, ...computeBonus() };
+}
@@ -0,0 +1,179 @@
+/**
+ * @file src/data/session.js
+ * @brief Session progress for resuming after a page refresh. A reload keeps the participant id
+ *        (`?old=1`, see getPID in config.js); this module keeps where the participant was.
+ *
+ * Stored per participant in localStorage (`hri_session_v1::<pid>`), updated after every finished
+ * timeline unit:
+ *  - seed:        initial state of the session RNG (`sessionRng`, re-exported as `randSeeded`),
+ *                 so the rebuilt timeline draws the same probes, explanations and asset picks
+ *  - rng_state:   RNG state after the last finished unit (restored before the run continues)
+ *  - done:        keys of finished units (timeline paths, e.g. '12' or '14.3.7')
+ *  - picks:       assignments of the first build (set_id, review_set, asset_picks), checked
+ *                 against the rebuild
+ *  - score:       running mission score
+ *  - fullscreen:  fullscreen exit and time-away counters (src/ui/fullscreenGuard.js)
+ *  - state:       module state registered with `keepOnResume`: “rest of block” delegation and
+ *                 re-queued trials (src/trials/doorTrial.js), the adaptive controller and its
+ *                 behaviour history (src/data/adaptive.js)
+ *  - segment:     number of resumes so far
+ *
+ * Units are single trials, except loop nodes (a block's replay slot), which count as one.
+ * Nodes passed through `alwaysOnResume` (the fullscreen gate) run again on every resume.
+ *
+ * On reload the timeline is rebuilt, finished units are skipped, and the run continues at the
+ * first unfinished one; the trial that was running when the page unloaded starts over. A record
+ * whose picks differ from the rebuild (sets or manifests changed) is dropped and the session
+ * starts fresh. Rows carry `resume_segment` (0 before any resume) and each resume is logged as a
+ * `session_resume` row.
+ */
+
+import { CONFIG, pid } from '../config.js';
+import { mulberry32Resumable } from '../utils/rng.js';
+import { scoringEnabled, scoreSummary, restoreScore } from './scoring.js';
+import { fullscreenCounters, restoreFullscreenCounters } from '../ui/fullscreenGuard.js';
+
+const VERSION = 1;
+const storageKey = `hri_session_v1::${pid}`;
+
+/** Record left by an unfinished session of this participant (read once, at load). */
+const stored = readRecord();
+
+/** Session RNG: CONFIG.seed when set, else the stored session's seed, else a fresh one. */
+const seed = (CONFIG.seed ?? stored?.seed ?? Math.floor(Math.random() * 4294967296)) >>> 0;
+export const sessionRng = mulberry32Resumable(seed);
+
+/** Assignments noted while the timeline is built. */
+const picks = {};
+/** Nodes that run on every resume. */
+const always = new WeakSet();
+/** Module state saved with the record, by name. */
+const kept = new Map();
+
+let record = null;
+
+/**
+ * Note an assignment made while building the timeline (compared on resume).
+ * @param {'set_id'|'review_set'|'asset_picks'} name
+ * @param {any} value  JSON-serializable.
+ */
+export function notePick(name, value) {
+  picks[name] = value;
+}
+
+/**
+ * Mark a timeline node to run again on resume even when it already finished.
+ * @param {object} node
+ * @returns {object} The node.
+ */
+export function alwaysOnResume(node) {
+  always.add(node);
+  return node;
+}
+
+/**
+ * Keep a module's state across reloads: `save` runs with every record update, `restore` once on
+ * resume (before the run continues). Modules register here, at load, rather than being imported,
+ * so trial modules can keep state without an import cycle through the session RNG.
+ * @param {string} name
+ * @param {{save: () => any, restore: (value: any) => void}} hooks  `save` returns JSON-serializable data.
+ */
+export function keepOnResume(name, hooks) {
+  kept.set(name, hooks);
+}
+
+/**
+ * Wrap the built timeline for progress tracking and, when a matching record exists, skip the
+ * units it finished. Call once, after the whole timeline is built and before `jsPsych.run`.
+ * @param {Array<object>} timeline  Mutated in place.
+ * @returns {{resumed: boolean, segment: number, units_done: number, resume_from: string|null, dropped: boolean}}
+ */
+export function prepareSessionResume(timeline) {
+  const sp = new URLSearchParams(location.search);
+  const usable = !!stored && CONFIG.resume?.enabled !== false && sp.get('reset') !== '1';
+  const matches = usable && Object.keys(picks).every(k => JSON.stringify(stored.picks?.[k]) === JSON.stringify(picks[k]));
+  const resumed = usable && matches && stored.done.length > 0;
+
+  record = resumed
+    ? { ...stored, segment: stored.segment + 1 }
+    : { version: VERSION, pid, seed, rng_state: null, done: [], picks, score: null, fullscreen: null, state: {}, segment: 0, finished: false };
+  const done = new Set(record.done);
+
+  if (resumed) {
+    if (record.rng_state !== null) sessionRng.setState(record.rng_state);
+    if (record.score && scoringEnabled()) restoreScore(record.score);
+    if (record.fullscreen) restoreFullscreenCounters(record.fullscreen);
+    kept.forEach(({ restore }, name) => {
+      if (record.state?.[name] !== undefined) restore(record.state[name]);
+    });
+  }
+
+  let resumeFrom = null;
+  const wrap = (nodes, path) => nodes.map((node, i) => {
+    const key = path ? `${path}.${i}` : String(i);
+    if (always.has(node)) return node;
+    if (Array.isArray(node.timeline) && !node.loop_function && !node.timeline_variables) {
+      return { ...node, timeline: wrap(node.timeline, key) };
+    }
+    if (!done.has(key) && resumeFrom === null) resumeFrom = key;
+    return {
+      timeline: [node],
+      conditional_function: () => !done.has(key),
+      on_timeline_finish: () => {
+        done.add(key);
+        record.done = [...done];
+        save();
+      }
+    };
+  });
+  timeline.splice(0, timeline.length, ...wrap(timeline, ''));
+  save();
+
+  return {
+    resumed,
+    segment: record.segment,
+    units_done: resumed ? done.size : 0,
+    resume_from: resumed ? resumeFrom : null,
+    dropped: usable && !matches
+  };
+}
+
+/**
+ * Close the session record: finished sessions start fresh on the next load; discarded ones
+ * leave nothing behind.
+ * @param {{discard?: boolean}} [opts]
+ */
+export function finishSession({ discard = false } = {}) {
+  if (discard) {
+    try { localStorage.removeItem(storageKey); } catch (_) {}
+    record = null;
+    return;
+  }
+  if (!record) return;
+  record.finished = true;
+  save();
+}
+
+function save() {
+  if (!record || !pid) return;
+  record.rng_state = sessionRng.state();
+  if (scoringEnabled()) {
+    const { score_total, scored_trials } = scoreSummary();
+    record.score = { score_total, scored_trials };
+  }
+  record.fullscreen = fullscreenCounters();
+  record.state = {};
+  kept.forEach(({ save: saveState }, name) => { record.state[name] = saveState(); });
+  try { localStorage.setItem(storageKey, JSON.stringify(record)); } catch (_) {}
+}
+
+function readRecord() {
+  if (!pid || typeof localStorage === 'undefined') return null;
+  try {
+    const r = JSON.parse(localStorage.getItem(storageKey) || 'null');
+    if (!r || r.version !== VERSION || r.finished || !Array.isArray(r.done)) return null;
+    return r;
+  } catch (_) {
+    return null;
+  }
+}
@@ -5,8 +5,16 @@
  *
  * Key responsibilities
  *  - Resolve the active `set_id` with precedence: URL override (if allowed) → cached selection → hash(pid).
- *  - Fetch and validate `conditions/sets_v1.json`.
- *  - Normalize raw rows to internal schema: { true_location, suggestion, risk_key }.
+ *  - Fetch and validate `conditions/sets_v1.json`, or generate the sets from a design
+ *    (`CONFIG.set_generator`, see generator.js).
+ *  - Normalize raw rows to internal schema:
+ *    { door_count, true_door, suggested_door, true_location, suggestion, risk_key, judge_advisor,
+ *      peek_accuracy, rescan_doors, post_confidence_scale, drone_confidence }.
+ *  - Reject door counts that a listed background has no layout for (src/scene/doors.js).
+ *  - Assign the drone's stated confidence per trial (explicit value or calibration model).
+ *  - Resolve the content after each block (`between` / `after`, see blockFlow.js).
+ *  - Resolve per-block CONFIG overrides (`config` on the set, then the block); rows are
+ *    normalized with them applied, so CONFIG defaults read here follow the block.
  *  - Coordinate with the reputation module to ensure a review condition exists (read-only here).
  *
  * Invariants / Contracts
@@ -16,13 +24,18 @@
  *    `augmentTrialsWithRiskAndAssets` to attach per-trial assets and risk overrides.
  */
 
-import { CONFIG, pid } from '../config.js';
-import { pickBackground, pickDoorSkin, nextSmokePair, nextFirePair, pickVictimSkin, randSeeded } from './assets.js';
+import { CONFIG, pid, withConfigOverrides, unknownConfigKeys } from '../config.js';
+import { BACKGROUNDS, pickBackground, pickDoorSkin, nextSmokePair, nextFirePair, pickVictimSkin, randSeeded } from './assets.js';
+import { doorLabel, normalizeDoorCount, parseDoorToken, backgroundsWithoutLayout } from '../scene/doors.js';
+import { TRANSPARENCY_LEVELS } from './explanations.js';
+import { fnv1a } from '../utils/misc.js';
+import { generateSets } from './generator.js';
+import { resolveInterBlock } from './blockFlow.js';
 
 /**
  * Load and normalize trial blocks for the chosen set.
  * Also ensures a reputation condition label is available for this session.
- * @returns {Promise<{ mode: 'set', blocks: {trials: Array, probes: number[]|null}[], set_id: string }>}
+ * @returns {Promise<{ mode: 'set', blocks: {trials: Array, probes: number[]|null, transparency: string|null, config: object|null, generator_warnings: string[]|null, after: object[]}[], set_id: string }>}
  */
 export async function loadTrialsBlocks() {
   const sp = new URLSearchParams(location.search);
@@ -50,15 +63,8 @@ export async function loadTrialsBlocks() {
     } catch {}
   }
 
-  // Fetch sets definition.
-  const url = new URL('conditions/sets_v1.json', window.location.href);
-  console.log('[HRI] Fetching sets from:', url.toString());
-  const res = await fetch(url, { cache: 'no-store' }).catch(e => {
-    console.error('Fetch error:', e);
-    throw e;
-  });
-  if (!res.ok) throw new Error(`Failed to load sets_v1.json (${res.status})`);
-  const allSets = await res.json();
+  // Fetch sets definition (static file, or generated from a design).
+  const allSets = CONFIG.set_generator?.enabled ? await generateSetsFromDesign() : await fetchSetsFile();
 
   // Validate and resolve available set IDs.
   const availableSetIds = Object.keys(allSets || {});
@@ -91,15 +97,60 @@ export async function loadTrialsBlocks() {
 
   console.log('[HRI] Using setId:', setId);
 
-  // Normalize to internal structure.
-  const blocks = chosen.blocks.map(blk => ({
-    trials: (blk.trials || []).map(row => ({
-      true_location: (row.victim === 'L' ? 'left' : 'right'),
-      suggestion:    (row.suggestion === 'L' ? 'left' : 'right'),
-      risk_key:      row.risk || null
-    })),
-    probes: Array.isArray(blk.probes) ? blk.probes.slice() : null
-  }));
+  // Normalize to internal structure. Door count precedence: trial → block → set → CONFIG.
+  const blocks = chosen.blocks.map((blk, b) => {
+    const config = resolveBlockConfig(chosen.config, blk.config, setId, b);
+    let after;
+    try {
+      after = resolveInterBlock(chosen, blk, b, chosen.blocks.length);
+    } catch (e) {
+      throw new Error(`Set '${setId}' block ${b} malformed: ${e.message}.`);
+    }
+    return withConfigOverrides(config, () => ({
+      trials: assignDroneConfidence((blk.trials || []).map((row, i) => {
+        const doorCount = normalizeDoorCount(row.doors ?? blk.doors ?? chosen.doors ?? CONFIG.door_count ?? 2);
+        const unlaidOut = backgroundsWithoutLayout(BACKGROUNDS, doorCount);
+        if (unlaidOut.length) {
+          throw new Error(`Set '${setId}' block ${b} trial ${i} malformed: ${doorCount} doors need a layout for background(s) ${unlaidOut.join(', ')} in SCENE_LAYOUT.backgrounds.`);
+        }
+        const trueDoor  = parseDoorToken(row.victim, doorCount);
+        const suggested = parseDoorToken(row.suggestion, doorCount);
+        if (trueDoor === null || suggested === null) {
+          throw new Error(`Set '${setId}' block ${b} trial ${i} malformed: victim/suggestion must be L/R or a door index < ${doorCount}.`);
+        }
+        const confidence = parseProbability(row.confidence);
+        if (confidence === undefined) {
+          throw new Error(`Set '${setId}' block ${b} trial ${i} malformed: confidence must be 0–1 or a percentage 0–100.`);
+        }
+        const peekAccuracy = parseProbability(row.peek_accuracy ?? blk.peek_accuracy ?? chosen.peek_accuracy);
+        if (peekAccuracy === undefined) {
+          throw new Error(`Set '${setId}' block ${b} trial ${i} malformed: peek_accuracy must be 0–1 or a percentage 0–100.`);
+        }
+        const rescanDoors = resolveRescanPlan(row.rescan, suggested, doorCount);
+        if (rescanDoors === null) {
+          throw new Error(`Set '${setId}' block ${b} trial ${i} malformed: rescan must be stay|flip|a door (or a list of them).`);
+        }
+        return {
+          door_count:     doorCount,
+          true_door:      trueDoor,
+          suggested_door: suggested,
+          true_location:  doorLabel(trueDoor, doorCount),
+          suggestion:     doorLabel(suggested, doorCount),
+          risk_key:       row.risk || null,
+          judge_advisor:  !!(row.judge_advisor ?? blk.judge_advisor ?? chosen.judge_advisor ?? CONFIG.judge_advisor?.enabled),
+          peek_accuracy:  peekAccuracy ?? CONFIG.peek?.accuracy ?? null,
+          rescan_doors:   rescanDoors,
+          post_confidence_scale: resolvePostConfidence(blk.post_confidence ?? chosen.post_confidence, setId, b),
+          drone_confidence: confidence
+        };
+      }), resolveConfidenceModel(blk.confidence_model ?? chosen.confidence_model, setId, b)),
+      probes: Array.isArray(blk.probes) ? blk.probes.slice() : null,
+      transparency: resolveBlockTransparency(blk.transparency ?? chosen.transparency, setId, b),
+      config,
+      generator_warnings: Array.isArray(blk.generator_warnings) && blk.generator_warnings.length ? blk.generator_warnings.slice() : null,
+      after
+    }));
+  });
 
   return { mode: 'set', blocks, set_id: setId };
 }
@@ -108,7 +159,7 @@ export async function loadTrialsBlocks() {
  * Attach per-trial visual assets and risk-derived overrides.
  * - Chooses background/door/FX/victim skins with no immediate repeats.
  * - Computes risk overrides from the `risk_key` or a random draw if absent.
- * @param {{true_location:string, suggestion:string, risk_key?:string}[]} trials
+ * @param {{true_door:number, suggested_door:number, risk_key?:string}[]} trials
  * @returns {Array}
  */
 export function augmentTrialsWithRiskAndAssets(trials) {
@@ -144,16 +195,18 @@ export function augmentTrialsWithRiskAndAssets(trials) {
 }
 
 /**
- * Build non-interactive training/demo trials with randomized left/right and assets.
+ * Build non-interactive training/demo trials with randomized doors and assets.
+ * Uses `CONFIG.door_count` so the demo matches the main task layout.
  * @param {number} N
  * @param {() => number} randFn
  * @returns {Array}
  */
 export function generateTrainingTrials(N, randFn) {
   const out = [];
+  const doorCount = normalizeDoorCount(CONFIG.door_count ?? 2);
   for (let i = 0; i < N; i++) {
-    const true_location = randFn() < 0.5 ? 'left' : 'right';
-    const suggestion    = randFn() < 0.5 ? 'left' : 'right';
+    const true_door      = Math.floor(randFn() * doorCount);
+    const suggested_door = Math.floor(randFn() * doorCount);
 
     const background_src = pickBackground();
     const door_src       = pickDoorSkin();
@@ -161,8 +214,11 @@ export function generateTrainingTrials(N, randFn) {
     const { left: fire_left_src,  right: fire_right_src  } = nextFirePair();
 
     out.push({
-      true_location,
-      suggestion,
+      door_count:    doorCount,
+      true_door,
+      suggested_door,
+      true_location: doorLabel(true_door, doorCount),
+      suggestion:    doorLabel(suggested_door, doorCount),
       victim_src: pickVictimSkin(),
       envWarmth:  CONFIG.env_warmth || 'warm',
       background_src,
@@ -183,13 +239,202 @@ export function generateTrainingTrials(N, randFn) {
  * @returns {string}
  */
 function pickSetIdFromPid(pid, setIds) {
-  let h = 2166136261 >>> 0;
-  const s = String(pid || '');
-  for (let i = 0; i < s.length; i++) {
-    h ^= s.charCodeAt(i);
-    h = Math.imul(h, 16777619) >>> 0;
+  return setIds[fnv1a(pid) % setIds.length];
+}
+
+/**
+ * Fetch the static sets file.
+ * @returns {Promise<object>}
+ */
+async function fetchSetsFile() {
+  const url = new URL('conditions/sets_v1.json', window.location.href);
+  console.log('[HRI] Fetching sets from:', url.toString());
+  const res = await fetch(url, { cache: 'no-store' }).catch(e => {
+    console.error('Fetch error:', e);
+    throw e;
+  });
+  if (!res.ok) throw new Error(`Failed to load sets_v1.json (${res.status})`);
+  return res.json();
+}
+
+/**
+ * Fetch the design named by `CONFIG.set_generator.design_url` and generate its sets.
+ * Seed precedence: CONFIG.set_generator.seed → design.seed.
+ * @returns {Promise<object>}
+ */
+async function generateSetsFromDesign() {
+  const G = CONFIG.set_generator;
+  const url = new URL(G.design_url || 'conditions/design_v1.json', window.location.href);
+  console.log('[HRI] Generating sets from design:', url.toString());
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`Failed to load set design (${res.status})`);
+  const design = await res.json();
+  return generateSets(design, G.seed ?? undefined);
+}
+
+/**
+ * Parse a probability-like field from a set row (confidence, peek accuracy).
+ * Accepts a fraction (0–1) or a percentage (1–100).
+ * @param {any} v
+ * @returns {number|null|undefined} fraction, null when absent, undefined when invalid.
+ */
+function parseProbability(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const x = Number(v);
+  if (!isFinite(x) || x < 0 || x > 100) return undefined;
+  return (x > 1) ? x / 100 : x;
+}
+
+/**
+ * Resolve a trial's `rescan` plan into the recommendation after each rescan.
+ * Entries apply in order, each relative to the previous recommendation:
+ *  - 'stay': keep the door; 'flip': move to the next door (the other door with two doors);
+ *  - a door token (L/R/index): recommend that door.
+ * Rescans beyond the plan keep the current recommendation.
+ * @param {any} spec          `rescan` from the set row (string, number or array).
+ * @param {number} suggested  Original suggested door.
+ * @param {number} doorCount
+ * @returns {number[]|null} door per rescan, or null when malformed.
+ */
+function resolveRescanPlan(spec, suggested, doorCount) {
+  if (spec === undefined || spec === null) return [];
+  const steps = Array.isArray(spec) ? spec : [spec];
+  const doors = [];
+  let cur = suggested;
+  for (const step of steps) {
+    if (step === 'stay') { doors.push(cur); continue; }
+    if (step === 'flip') { cur = (cur + 1) % doorCount; doors.push(cur); continue; }
+    const d = parseDoorToken(step, doorCount);
+    if (d === null) return null;
+    cur = d;
+    doors.push(cur);
+  }
+  return doors;
+}
+
+/**
+ * Resolve the post-decision confidence rating scale for a block.
+ * Precedence: block → set → CONFIG.post_confidence (when enabled).
+ * @param {string|boolean|undefined} spec  'likert5' | 'percent' | 'none' | true | false
+ * @param {string} setId
+ * @param {number} b  Block index (for error messages).
+ * @returns {'likert5'|'percent'|null}
+ */
+function resolvePostConfidence(spec, setId, b) {
+  const P = CONFIG.post_confidence || {};
+  if (spec === undefined || spec === null) return P.enabled ? (P.scale || 'likert5') : null;
+  if (spec === false || spec === 'none') return null;
+  if (spec === true) return P.scale || 'likert5';
+  if (spec === 'likert5' || spec === 'percent') return spec;
+  throw new Error(`Set '${setId}' block ${b} malformed: post_confidence must be likert5|percent|none.`);
+}
+
+/**
+ * Effective CONFIG overrides for a block: set-level `config`, then block-level keys.
+ * Throws on non-objects and on keys CONFIG does not have.
+ * @param {object|undefined} setConfig
+ * @param {object|undefined} blockConfig
+ * @param {string} setId
+ * @param {number} b  Block index (for error messages).
+ * @returns {object|null} null when neither level overrides anything.
+ */
+function resolveBlockConfig(setConfig, blockConfig, setId, b) {
+  [setConfig, blockConfig].forEach((c) => {
+    if (c === undefined || c === null) return;
+    if (typeof c !== 'object' || Array.isArray(c)) {
+      throw new Error(`Set '${setId}' block ${b} malformed: config must be an object of CONFIG keys.`);
+    }
+    const unknown = unknownConfigKeys(c);
+    if (unknown.length) {
+      throw new Error(`Set '${setId}' block ${b} malformed: unknown config key(s) ${unknown.join(', ')}.`);
+    }
+  });
+  const merged = { ...(setConfig || {}), ...(blockConfig || {}) };
+  return Object.keys(merged).length ? merged : null;
+}
+
+/**
+ * Validate a block/set transparency level. Absent → null (participant-level default applies).
+ * @param {string|undefined} level
+ * @param {string} setId
+ * @param {number} b  Block index (for error messages).
+ * @returns {string|null}
+ */
+function resolveBlockTransparency(level, setId, b) {
+  if (level === undefined || level === null) return null;
+  if (!TRANSPARENCY_LEVELS.includes(level)) {
+    throw new Error(`Set '${setId}' block ${b} malformed: transparency must be one of ${TRANSPARENCY_LEVELS.join('|')}.`);
   }
-  return setIds[h % setIds.length];
+  return level;
+}
+
+/**
+ * Resolve which calibration model applies to a block.
+ * Precedence: block → set → CONFIG (only when the indicator is enabled globally).
+ * @param {string|undefined} key  `confidence_model` from the block or set.
+ * @param {string} setId
+ * @param {number} b              Block index (for error messages).
+ * @returns {string|null} model key, or null when no model applies.
+ */
+function resolveConfidenceModel(key, setId, b) {
+  const C = CONFIG.drone_confidence || {};
+  if (key === undefined || key === null) return C.enabled ? (C.model || 'calibrated') : null;
+  if (key === 'none') return null;
+  if (!C.models || !C.models[key]) {
+    throw new Error(`Set '${setId}' block ${b} malformed: unknown confidence_model '${key}'.`);
+  }
+  return key;
+}
+
+/**
+ * Fill in the drone's stated confidence for a block of normalized trials.
+ * Explicit per-trial values always win. Otherwise the model is centred on the
+ * drone's actual hit rate in the block and shifted by the model's `bias`, so
+ * 'calibrated' matches observed accuracy and the other models over/understate it.
+ * `resolution` spreads values apart (higher on hits, lower on misses) while
+ * keeping the block mean at the hit rate.
+ * @param {Array} trials   Normalized trials (from `loadTrialsBlocks`).
+ * @param {string|null} modelKey
+ * @returns {Array} The same trials with `drone_confidence`, `confidence_model`, `confidence_source`.
+ */
+function assignDroneConfidence(trials, modelKey) {
+  const hits = trials.filter(t => t.true_door === t.suggested_door).length;
+  const hitRate = trials.length ? hits / trials.length : 0;
+
+  return trials.map(t => {
+    if (t.drone_confidence !== null) {
+      return { ...t, confidence_model: modelKey, confidence_source: 'set' };
+    }
+    if (!modelKey) {
+      return { ...t, confidence_model: null, confidence_source: null };
+    }
+    return {
+      ...t,
+      drone_confidence: modelConfidence(modelKey, t.true_door === t.suggested_door, hitRate, t.door_count),
+      confidence_model: modelKey,
+      confidence_source: 'model'
+    };
+  });
+}
+
+/**
+ * Model-based stated confidence for one trial (see `assignDroneConfidence`).
+ * Also used by the adaptive controller once it has decided the trial's hit or miss.
+ * @param {string} modelKey        Key into `CONFIG.drone_confidence.models`.
+ * @param {boolean} hit            The suggestion is the victim door.
+ * @param {number} hitRate         Drone accuracy the model is centred on (0–1).
+ * @param {number} doorCount       Lower clamp is chance, 1 / doorCount.
+ * @param {() => number} [randFn]  RNG in [0,1) for the jitter.
+ * @returns {number} Confidence (0–1, two decimals).
+ */
+export function modelConfidence(modelKey, hit, hitRate, doorCount, randFn = randSeeded) {
+  const C = CONFIG.drone_confidence || {};
+  const bias = C.models?.[modelKey]?.bias ?? 0;
+  const resolution = C.resolution ?? 0;
+  const spread = hit ? resolution * (1 - hitRate) : -resolution * hitRate;
+  const noise = (randFn() * 2 - 1) * (C.jitter ?? 0);
+  const value = Math.max(1 / doorCount, Math.min(C.max ?? 0.99, hitRate + bias + spread + noise));
+  return Math.round(value * 100) / 100;
 }
 
 /**
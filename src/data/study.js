@@ -0,0 +1,69 @@
+/**
+ * @file src/data/study.js
+ * @brief Declarative study definition: which stages run, in which order, with which parameters.
+ *        Loads and checks the JSON; the stage registry (src/trials/stages.js) turns it into
+ *        timeline nodes.
+ *
+ * Study shape (see conditions/study_v1.json)
+ *  {
+ *    id: string,
+ *    stages: [
+ *      { stage: 'demographics' },
+ *      { stage: 'trust40', event_type: 'questionnaire40pre' },   // stage-specific parameters
+ *      { stage: 'reviews', enabled: false },                     // switched off for this study
+ *      { stage: 'trust_probe', when: { set_id: ['SetA'] } },     // only for these CONFIG values
+ *      …
+ *    ]
+ *  }
+ * `when` maps CONFIG keys to allowed values and is checked as the stage starts, so keys
+ * resolved while the timeline is built (e.g. `set_id`, `review_condition`) can be used.
+ * A stage listed twice with different `when` gives per-condition orders.
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Fetch the study definition named by `CONFIG.study_url`.
+ * @returns {Promise<{id: string, stages: object[]}>}
+ */
+export async function loadStudyDefinition() {
+  const url = new URL(CONFIG.study_url || 'conditions/study_v1.json', window.location.href);
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`Failed to load study definition ${url.pathname} (${res.status})`);
+  return res.json();
+}
+
+/**
+ * Check a study definition against the stage names a registry knows.
+ * @param {object} study
+ * @param {string[]} stageNames
+ * @returns {{id: string, stages: object[]}} The enabled stages, in order.
+ * @throws {Error} On a malformed definition or an unknown stage.
+ */
+export function normalizeStudy(study, stageNames) {
+  if (!study || !Array.isArray(study.stages) || !study.stages.length) {
+    throw new Error('Study definition malformed: missing `stages` array with content.');
+  }
+  const stages = study.stages.map((s, i) => {
+    const o = (typeof s === 'string') ? { stage: s } : s;
+    if (!o || !stageNames.includes(o.stage)) {
+      throw new Error(`Study stage ${i} malformed: stage must be one of ${stageNames.join('|')} (got ${JSON.stringify(s)}).`);
+    }
+    if (o.when !== undefined && (typeof o.when !== 'object' || o.when === null || Array.isArray(o.when))) {
+      throw new Error(`Study stage ${i} (${o.stage}) malformed: when must map CONFIG keys to values.`);
+    }
+    return o;
+  });
+  return { id: study.id || 'unnamed', stages: stages.filter(s => s.enabled !== false) };
+}
+
+/**
+ * True when a stage's `when` matches the current CONFIG (no `when` → always).
+ * @param {object|undefined} when  { [configKey]: value | value[] }
+ * @returns {boolean}
+ */
+export function stageApplies(when) {
+  if (!when) return true;
+  return Object.entries(when).every(([k, allowed]) =>
+    (Array.isArray(allowed) ? allowed : [allowed]).includes(CONFIG[k]));
+}
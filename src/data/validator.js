@@ -0,0 +1,246 @@
+/**
+ * @file src/data/validator.js
+ * @brief Condition-set validation and design diagnostics for files in the `sets_v1.json` shape.
+ *        DOM-free; used by `scripts/validate-sets.mjs`.
+ *
+ * validateSets(allSets, { backgrounds }) → issues
+ *  - The schema `loadTrialsBlocks` enforces at runtime (blocks/trials present, victim/suggestion
+ *    as L/R or a door index, door counts and their background layouts, confidence/peek_accuracy
+ *    ranges, transparency, rescan,
+ *    `config` overrides naming CONFIG keys, `between`/`after` inter-block items),
+ *    plus risk keys from `CONFIG.risk_levels`, confidence models, and probe indices in range.
+ *    A block's `generator_warnings` (left by generator.js) are reported as warnings.
+ *  - Each issue: { level: 'error'|'warning', set, block?, trial?, message }.
+ *
+ * diagnoseSet(set) → per-block report
+ *  - reliability, error/correct run lengths, risk × correctness crosstab, victim/suggestion
+ *    door counts (side bias), each probe's position relative to the preceding errors, and
+ *    the inter-block content that follows.
+ */
+
+import { CONFIG, unknownConfigKeys } from '../config.js';
+import { normalizeDoorCount, parseDoorToken, backgroundsWithoutLayout, MIN_DOORS, MAX_DOORS } from '../scene/doors.js';
+import { TRANSPARENCY_LEVELS } from './explanations.js';
+import { longestRun } from './generator.js';
+import { resolveInterBlock } from './blockFlow.js';
+
+/**
+ * Validate every set in a sets file.
+ * @param {object} allSets  Parsed sets file ({ [setId]: { blocks: [...] } }).
+ * @param {{backgrounds?: string[]}} [opts]  Background file names the study picks from (the assets
+ *        manifest). Without them, door counts that have no default layout (above 2) are errors.
+ * @returns {{level: 'error'|'warning', set: string|null, block?: number, trial?: number, message: string}[]}
+ */
+export function validateSets(allSets, { backgrounds } = {}) {
+  const issues = [];
+  if (!allSets || typeof allSets !== 'object' || !Object.keys(allSets).length) {
+    issues.push({ level: 'error', set: null, message: 'No sets (empty or malformed file).' });
+    return issues;
+  }
+
+  const riskKeys = Object.keys(CONFIG.risk_levels || {});
+  const confidenceModels = [...Object.keys(CONFIG.drone_confidence?.models || {}), 'none'];
+
+  for (const [setId, set] of Object.entries(allSets)) {
+    const add = (level, message, block, trial) => issues.push({ level, set: setId, block, trial, message });
+
+    if (!set || !Array.isArray(set.blocks) || !set.blocks.length) {
+      add('error', "missing 'blocks' array with content");
+      continue;
+    }
+    checkSetLevelFields(set, add, undefined, confidenceModels);
+
+    set.blocks.forEach((blk, b) => {
+      if (!blk || !Array.isArray(blk.trials) || !blk.trials.length) {
+        add('error', "missing 'trials' array with content", b);
+        return;
+      }
+      checkSetLevelFields(blk, add, b, confidenceModels);
+      if (Array.isArray(blk.generator_warnings)) blk.generator_warnings.forEach(w => add('warning', `generator: ${w}`, b));
+      try {
+        resolveInterBlock(set, blk, b, set.blocks.length);
+      } catch (e) {
+        add('error', e.message, b);
+      }
+
+      const N = blk.trials.length;
+      const doorCounts = new Set();
+      blk.trials.forEach((row, i) => {
+        const doorsRaw = row.doors ?? blk.doors ?? set.doors ?? CONFIG.door_count ?? 2;
+        if (!isDoorCount(doorsRaw)) add('error', `doors must be ${MIN_DOORS}–${MAX_DOORS} (got ${doorsRaw})`, b, i);
+        const doorCount = normalizeDoorCount(doorsRaw);
+        if (isDoorCount(doorsRaw)) doorCounts.add(doorCount);
+
+        if (parseDoorToken(row.victim, doorCount) === null) {
+          add('error', `victim must be L/R or a door index < ${doorCount} (got ${JSON.stringify(row.victim)})`, b, i);
+        }
+        if (parseDoorToken(row.suggestion, doorCount) === null) {
+          add('error', `suggestion must be L/R or a door index < ${doorCount} (got ${JSON.stringify(row.suggestion)})`, b, i);
+        }
+        if (row.risk === undefined || row.risk === null || row.risk === '') {
+          add('warning', 'no risk (runtime falls back to medium)', b, i);
+        } else if (!riskKeys.includes(row.risk)) {
+          add('error', `risk must be one of ${riskKeys.join('|')} (got ${JSON.stringify(row.risk)})`, b, i);
+        }
+        if (!isProbability(row.confidence)) add('error', 'confidence must be 0–1 or a percentage 0–100', b, i);
+        if (!isProbability(row.peek_accuracy)) add('error', 'peek_accuracy must be 0–1 or a percentage 0–100', b, i);
+        if (!isRescanPlan(row.rescan, doorCount)) add('error', 'rescan must be stay|flip|a door (or a list of them)', b, i);
+      });
+
+      // one issue per block and door count, naming the backgrounds without a layout
+      doorCounts.forEach((n) => {
+        const missing = backgroundsWithoutLayout(backgrounds || [''], n);
+        if (!missing.length) return;
+        add('error', backgrounds
+          ? `${n} doors need a layout for background(s) ${missing.join(', ')} in SCENE_LAYOUT.backgrounds`
+          : `${n} doors need a layout per background in SCENE_LAYOUT.backgrounds`, b);
+      });
+
+      if (blk.probes !== undefined && blk.probes !== null) {
+        if (!Array.isArray(blk.probes)) {
+          add('error', 'probes must be an array of 1-based trial indices', b);
+        } else {
+          const seen = new Set();
+          blk.probes.forEach((p) => {
+            if (seen.has(Number(p))) {
+              add('warning', `duplicate probe index ${p}`, b);
+              return;
+            }
+            seen.add(Number(p));
+            if (!Number.isInteger(Number(p)) || p < 1 || p > N) {
+              add('error', `probe index ${JSON.stringify(p)} outside 1–${N}`, b);
+            } else if (Number(p) === N) {
+              add('warning', `probe after the last trial (${N}) is skipped at runtime`, b);
+            }
+          });
+        }
+      }
+    });
+  }
+  return issues;
+}
+
+/**
+ * Design diagnostics for one set (assumes it validated without errors).
+ * @param {{blocks: Array}} set
+ * @returns {Array<object>} One report per block.
+ */
+export function diagnoseSet(set) {
+  const riskKeys = Object.keys(CONFIG.risk_levels || {});
+
+  return set.blocks.map((blk, b) => {
+    const doorCount = normalizeDoorCount(blk.doors ?? set.doors ?? CONFIG.door_count ?? 2);
+    const rows = blk.trials.map((row) => {
+      const n = normalizeDoorCount(row.doors ?? doorCount);
+      const victim = parseDoorToken(row.victim, n);
+      const suggested = parseDoorToken(row.suggestion, n);
+      return { n, victim, suggested, error: victim !== suggested, risk: row.risk || 'medium' };
+    });
+    const isErr = rows.map(r => r.error);
+    const nErr = isErr.filter(Boolean).length;
+
+    // risk × correctness
+    const crosstab = {};
+    riskKeys.forEach((k) => { crosstab[k] = { correct: 0, error: 0 }; });
+    rows.forEach((r) => {
+      if (!crosstab[r.risk]) crosstab[r.risk] = { correct: 0, error: 0 };
+      crosstab[r.risk][r.error ? 'error' : 'correct']++;
+    });
+
+    // side bias: door counts for victims and suggestions, over the widest scene in the block
+    const width = Math.max(doorCount, ...rows.map(r => r.n));
+    const victimDoors = Array(width).fill(0);
+    const suggestedDoors = Array(width).fill(0);
+    rows.forEach((r) => {
+      victimDoors[r.victim]++;
+      suggestedDoors[r.suggested]++;
+    });
+
+    // probes relative to errors (a probe at p follows trial p)
+    const probes = (Array.isArray(blk.probes) ? blk.probes : []).map((p) => {
+      const upTo = isErr.slice(0, p);
+      const lastErr = upTo.lastIndexOf(true);
+      return {
+        index: p,
+        after_error: !!isErr[p - 1],
+        trials_since_error: (lastErr >= 0) ? (p - 1 - lastErr) : null,
+        errors_before: upTo.filter(Boolean).length
+      };
+    });
+
+    let after = null;
+    try { after = resolveInterBlock(set, blk, b, set.blocks.length).map(i => i.type); } catch (_) {}
+
+    return {
+      block: b,
+      trials: rows.length,
+      errors: nErr,
+      reliability: rows.length ? (rows.length - nErr) / rows.length : null,
+      pattern: isErr.map(e => (e ? 'x' : '.')).join(''),
+      longest_error_run: longestRun(isErr),
+      longest_correct_run: longestRun(isErr.map(e => !e)),
+      error_runs: runLengths(isErr),
+      crosstab,
+      victim_doors: victimDoors,
+      suggested_doors: suggestedDoors,
+      probes,
+      after
+    };
+  });
+}
+
+/** Fields allowed on a set or block (checked the same way at either level). */
+function checkSetLevelFields(obj, add, b, confidenceModels) {
+  if (obj.doors !== undefined && !isDoorCount(obj.doors)) {
+    add('error', `doors must be ${MIN_DOORS}–${MAX_DOORS} (got ${obj.doors})`, b);
+  }
+  if (obj.transparency !== undefined && obj.transparency !== null && !TRANSPARENCY_LEVELS.includes(obj.transparency)) {
+    add('error', `transparency must be one of ${TRANSPARENCY_LEVELS.join('|')}`, b);
+  }
+  if (obj.confidence_model !== undefined && obj.confidence_model !== null && !confidenceModels.includes(obj.confidence_model)) {
+    add('error', `confidence_model must be one of ${confidenceModels.join('|')}`, b);
+  }
+  if (obj.post_confidence !== undefined && obj.post_confidence !== null
+      && ![true, false, 'likert5', 'percent', 'none'].includes(obj.post_confidence)) {
+    add('error', 'post_confidence must be likert5|percent|none', b);
+  }
+  if (!isProbability(obj.peek_accuracy)) add('error', 'peek_accuracy must be 0–1 or a percentage 0–100', b);
+  if (obj.config !== undefined && obj.config !== null) {
+    if (typeof obj.config !== 'object' || Array.isArray(obj.config)) {
+      add('error', 'config must be an object of CONFIG keys', b);
+    } else {
+      const unknown = unknownConfigKeys(obj.config);
+      if (unknown.length) add('error', `unknown config key(s) ${unknown.join(', ')}`, b);
+    }
+  }
+}
+
+function isDoorCount(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= MIN_DOORS && n <= MAX_DOORS;
+}
+
+/** Absent, or a fraction 0–1 / percentage 0–100 (same rule as the set loader). */
+function isProbability(v) {
+  if (v === undefined || v === null || v === '') return true;
+  const x = Number(v);
+  return isFinite(x) && x >= 0 && x <= 100;
+}
+
+function isRescanPlan(spec, doorCount) {
+  if (spec === undefined || spec === null) return true;
+  const steps = Array.isArray(spec) ? spec : [spec];
+  return steps.every(s => s === 'stay' || s === 'flip' || parseDoorToken(s, doorCount) !== null);
+}
+
+/** Lengths of the runs of `true` values, in order. */
+function runLengths(flags) {
+  const runs = [];
+  let cur = 0;
+  flags.forEach((f) => {
+    if (f) cur++;
+    else if (cur) { runs.push(cur); cur = 0; }
+  });
+  if (cur) runs.push(cur);
+  return runs;
+}
@@ -8,6 +8,7 @@
  */
 
 import { logEnqueue } from './index.js';
+import { inputModality } from '../utils/inputModality.js';
 
 const APP_VERSION = '0.1.0';
 
@@ -30,6 +31,9 @@ export function buildRowsForLogging(allTrials) {
   /** Return file name (without path) or null. */
   const baseName = (s) => (s && typeof s === 'string') ? s.split('/').pop() : null;
 
+  /** Numeric value or null. */
+  const num = (v) => (typeof v === 'number') ? v : null;
+
   /** Lightweight UA parsing to capture device type and browser family. */
   function parseUA(uaStr) {
     const S = uaStr || '';
@@ -68,13 +72,21 @@ export function buildRowsForLogging(allTrials) {
     'questionnaire14mid2',
     'questionnaire',
     'demographics',
-    'emergency_trial'
+    'emergency_trial',
+    'block_break',
+    'study_definition',
+    'session_summary',
+    'session_quality',
+    'session_resume'
   ]);
 
+  /** Questionnaires between blocks: questionnaire14mid<k> / questionnaire40mid<k> (k = block before). */
+  const MID_QUESTIONNAIRE = /^questionnaire(14|40)mid\d+$/;
+
   /** Low-value instruction/transition screens to drop. */
   const IGNORE_TRIAL_TYPES = new Set([
     'training_intro', 'overview_rescuer', 'robot_description',
-    'fade_transition', 'transition'
+    'fade_transition', 'transition', 'narrative_screen'
   ]);
 
   // Emit raw UA only once (first retained row).
@@ -171,7 +183,7 @@ export function buildRowsForLogging(allTrials) {
     const et = mapEventType(d);
 
     // Drop low-value or non-allowed events early.
-    if (IGNORE_TRIAL_TYPES.has(d.trial_type || '') || !ALLOW_TYPES.has(et)) {
+    if (IGNORE_TRIAL_TYPES.has(d.trial_type || '') || !(ALLOW_TYPES.has(et) || MID_QUESTIONNAIRE.test(et))) {
       return null;
     }
 
@@ -184,9 +196,11 @@ export function buildRowsForLogging(allTrials) {
       ? Math.round(d.reaction_time_s * 1000)
       : null;
 
+    // Followed = chose the recommendation on screen at the decision (after any rescan).
+    const advice = (typeof d.final_suggestion !== 'undefined') ? d.final_suggestion : d.suggestion;
     const followed =
-      (typeof d.choice !== 'undefined' && typeof d.suggestion !== 'undefined')
-        ? (String(d.choice) === String(d.suggestion))
+      (typeof d.choice !== 'undefined' && d.choice !== null && typeof advice !== 'undefined')
+        ? (String(d.choice) === String(advice))
         : null;
 
     const risk_key =
@@ -223,7 +237,7 @@ export function buildRowsForLogging(allTrials) {
       if (et === 'emergency_trial') {
         return d.emergency_preference ?? (d.response === 0 ? 'self' : d.response === 1 ? 'robot' : null);
       }
-      if (et === 'questionnaire40pre' || et === 'questionnaire40post') {
+      if (et === 'questionnaire40pre' || et === 'questionnaire40post' || /^questionnaire40mid\d+$/.test(et)) {
         // Primary 40-item score
         const x40 = (typeof d.trust40_total_percent === 'number')
           ? Number(d.trust40_total_percent.toFixed(1))
@@ -239,12 +253,18 @@ export function buildRowsForLogging(allTrials) {
         // If both are present, emit the pair "(x40, x14)"; else fall back to just x40
         return (x40 != null && x14 != null) ? `(${x40}, ${x14})` : x40;
       }
-      if (et === 'questionnaire14mid1' || et === 'questionnaire14mid2') {
+      if (/^questionnaire14mid\d+$/.test(et)) {
         return d.trust14_total_percent ?? d.trust14_total_score ?? null;
       }
       if (et === 'demographics') {
         return (typeof d.response === 'string') ? d.response : null;
       }
+      if (et === 'session_summary') {
+        return (typeof d.bonus_amount === 'number') ? d.bonus_amount : null;
+      }
+      if (et === 'session_quality') {
+        return (typeof d.fullscreen_exits === 'number') ? d.fullscreen_exits : null;
+      }
       return (typeof d.response !== 'undefined') ? d.response : null;
     }
 
@@ -253,6 +273,8 @@ export function buildRowsForLogging(allTrials) {
       session_id:   (typeof d.session_id !== 'undefined') ? d.session_id : SESSION_ID,
       participant_id: d.participant_id || '',
       set_id:       setId,
+      study_id:     (typeof d.study_id !== 'undefined') ? d.study_id : null,
+      resume_segment: (typeof d.resume_segment === 'number') ? d.resume_segment : null,
       block_index:  (typeof d.block_index !== 'undefined') ? d.block_index : null,
       trial_index:  (typeof d.trial_index !== 'undefined') ? d.trial_index : null,
       event_type:   et,
@@ -278,9 +300,101 @@ export function buildRowsForLogging(allTrials) {
       correct: (typeof d.correct !== 'undefined') ? d.correct : null,
       rt_ms,
 
+      // drone stated confidence (percentage actually shown in the HUD)
+      drone_confidence_pct: (typeof d.drone_confidence_pct === 'number') ? d.drone_confidence_pct : null,
+      confidence_model:     (typeof d.confidence_model !== 'undefined') ? d.confidence_model : null,
+      confidence_source:    (typeof d.confidence_source !== 'undefined') ? d.confidence_source : null,
+
+      // how the door was chosen: manual | timeout | delegated_trial | delegated_block
+      decision_mode: (typeof d.decision_mode !== 'undefined') ? d.decision_mode : null,
+      // timer_action applied on expiry; replays of re-queued trials are flagged
+      timeout_action: (typeof d.timeout_action !== 'undefined') ? d.timeout_action : null,
+      timer_expired:  (typeof d.timer_expired === 'boolean') ? d.timer_expired : null,
+      is_repeat:      (typeof d.is_repeat === 'boolean') ? d.is_repeat : null,
+
+      // judge–advisor (two-stage) trials
+      initial_choice: (typeof d.initial_choice !== 'undefined') ? d.initial_choice : null,
+      initial_rt_ms:  (typeof d.initial_rt_s === 'number') ? Math.round(d.initial_rt_s * 1000) : null,
+      final_rt_ms:    (typeof d.final_rt_s === 'number') ? Math.round(d.final_rt_s * 1000) : null,
+      switched:       (typeof d.switched === 'boolean') ? d.switched : null,
+      woa:            (typeof d.woa === 'number') ? d.woa : null,
+
+      // thermal peek (verification behaviour); first peek in detail, all peeks in peek_sequence
+      peek_count:       (typeof d.peek_count === 'number') ? d.peek_count : null,
+      peek_target:      (typeof d.peek_target !== 'undefined') ? d.peek_target : null,
+      peek_result:      (typeof d.peek_result !== 'undefined') ? d.peek_result : null,
+      peek_cue_correct: (typeof d.peek_cue_correct === 'boolean') ? d.peek_cue_correct : null,
+      peek_rt_ms:       (typeof d.peek_rt_s === 'number') ? Math.round(d.peek_rt_s * 1000) : null,
+      peek_accuracy:    (typeof d.peek_accuracy === 'number') ? d.peek_accuracy : null,
+
+      // post-decision confidence rating (inline, before the door opens)
+      post_confidence:       (typeof d.post_confidence === 'number') ? d.post_confidence : null,
+      post_confidence_scale: (typeof d.post_confidence_scale !== 'undefined') ? d.post_confidence_scale : null,
+      post_confidence_rt_ms: (typeof d.post_confidence_rt_s === 'number') ? Math.round(d.post_confidence_rt_s * 1000) : null,
+
+      // participant-requested rescans (reassurance seeking)
+      rescan_count:        (typeof d.rescan_count === 'number') ? d.rescan_count : null,
+      rescan_times_ms:     (typeof d.rescan_times_ms !== 'undefined') ? d.rescan_times_ms : null,
+      rescan_durations_ms: (typeof d.rescan_durations_ms !== 'undefined') ? d.rescan_durations_ms : null,
+      final_suggestion:    (typeof d.final_suggestion !== 'undefined') ? d.final_suggestion : null,
+
+      // per-block CONFIG overrides from the sets file (JSON; null outside blocks / when none)
+      block_config: (typeof d.block_config === 'string') ? d.block_config : null,
+
+      // door-trial phase onsets (JSON: phase → ms since trial start; see src/trials/doorPhases.js)
+      phase_times: (typeof d.phase_times === 'string') ? d.phase_times : null,
+
+      // door-trial phase timestamps (ms since trial start) and decision time from the actionable HUD
+      t_scene_ms:          num(d.t_scene_ms),
+      t_entry_end_ms:      num(d.t_entry_end_ms),
+      t_scan_start_ms:     num(d.t_scan_start_ms),
+      t_scan_end_ms:       num(d.t_scan_end_ms),
+      t_hop_end_ms:        num(d.t_hop_end_ms),
+      t_hud_shown_ms:      num(d.t_hud_shown_ms),
+      t_hud_actionable_ms: num(d.t_hud_actionable_ms),
+      t_first_input_ms:    num(d.t_first_input_ms),
+      t_decision_ms:       num(d.t_decision_ms),
+      t_door_open_ms:      num(d.t_door_open_ms),
+      t_panel_ms:          num(d.t_panel_ms),
+      t_blackout_ms:       num(d.t_blackout_ms),
+      decision_rt_ms:      num(d.decision_rt_ms),
+
+      // pointer trajectory in the decision window (compact strings, see src/trials/doorTrajectory.js)
+      traj_xy:        (typeof d.traj_xy === 'string') ? d.traj_xy : null,
+      traj_hovers:    (typeof d.traj_hovers === 'string') ? d.traj_hovers : null,
+      traj_abandons:  (typeof d.traj_abandons === 'string') ? d.traj_abandons : null,
+      traj_pointer:   (typeof d.traj_pointer === 'string') ? d.traj_pointer : null,
+      traj_samples:   num(d.traj_samples),
+      traj_truncated: (typeof d.traj_truncated === 'boolean') ? d.traj_truncated : null,
+      // trial held while the tab was hidden / fullscreen was lost ('reason:start-end;…')
+      pause_count:    num(d.pause_count),
+      pause_total_ms: num(d.pause_total_ms),
+      pauses:         (typeof d.pauses === 'string') ? d.pauses : null,
+      // decision key mapping (src/data/responseKeys.js) and the key that made the choice
+      key_scheme:     (typeof d.key_scheme === 'string') ? d.key_scheme : null,
+      key_map:        (typeof d.key_map === 'string') ? d.key_map : null,
+      response_key:   (typeof d.response_key === 'string') ? d.response_key : null,
+
+      // adaptive reliability controller state when the trial started
+      adaptive_rule:        (typeof d.adaptive_rule !== 'undefined') ? d.adaptive_rule : null,
+      adaptive_reliability: (typeof d.adaptive_reliability === 'number') ? d.adaptive_reliability : null,
+      adaptive_hit:         (typeof d.adaptive_hit === 'boolean') ? d.adaptive_hit : null,
+      adaptive_reliance:    (typeof d.adaptive_reliance === 'number') ? d.adaptive_reliance : null,
+      adaptive_trust:       (typeof d.adaptive_trust === 'number') ? d.adaptive_trust : null,
+
+      // mission scoring (per-trial points and running total)
+      score_delta: (typeof d.score_delta === 'number') ? d.score_delta : null,
+      score_total: (typeof d.score_total === 'number') ? d.score_total : null,
+
+      // transparency (explanation template id(s) shown with the recommendation)
+      transparency_level: (typeof d.transparency_level !== 'undefined') ? d.transparency_level : null,
+      explanation_id:     (typeof d.explanation_id !== 'undefined') ? d.explanation_id : null,
+
       // probes
       probe_id,
       response: unifiedResponse(d, et),
+      // keyboard | mouse | touch | pen | gamepad (src/utils/inputModality.js)
+      input_modality: (typeof d.input_modality === 'string') ? d.input_modality : null,
 
       // reputation/reviews
       review_condition: (typeof d.review_condition !== 'undefined') ? d.review_condition : null,
@@ -336,6 +450,8 @@ export function logTrialRow(d) {
   try {
     if (typeof window.LOG_SEQ !== 'number') window.LOG_SEQ = 1;
     d._ts_seq = window.LOG_SEQ++;
+    // jsPsych trial rows (time_elapsed set) carry the input used during the trial.
+    if (d.input_modality === undefined && typeof d.time_elapsed === 'number') d.input_modality = inputModality();
     const rows = buildRowsForLogging([d]);
     logEnqueue(rows);
   } catch (e) {
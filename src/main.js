@@ -3,34 +3,28 @@
  * @description
  * Application bootstrap and experiment orchestration.
  * - Wires up consent/start flow, fullscreen, and mobile landscape gate.
- * - Preloads assets, builds the jsPsych timeline (intro → questionnaires → training → blocks → post).
+ * - Preloads assets, builds the jsPsych timeline from the study definition
+ *   (intro → questionnaires → training → blocks → post by default).
  * - Sets up durable logging and exit/withdraw UI, including data retention/deletion.
  */
 
 import { CONFIG, readConfigFromURL, pid } from './config.js';
 import { blackoutHide, showLoadingOverlay, hideLoadingOverlay } from './ui/overlays.js';
-import { makeFadeTransition } from './ui/theme.js';
 import { showExitModal, hideExitModal, showEndScreenKeep, showEndScreenDiscard } from './ui/exit-modal.js';
-import { initExperiment } from './trials/blocks.js';
-import { generateTrainingTrials } from './data/sets.js';
-import { VICTIMS, EMPTY, BACKGROUNDS, DOOR_SKINS, ALL_SMOKE, ALL_FIRE, randSeeded } from './data/assets.js';
+import { loadStudyDefinition, normalizeStudy } from './data/study.js';
+import { STAGES, buildStudyTimeline } from './trials/stages.js';
+import { VICTIMS, EMPTY, BACKGROUNDS, DOOR_SKINS, ALL_SMOKE, ALL_FIRE } from './data/assets.js';
 import { //ensureReviewConditionAssigned,
-        pickReviewConditionFallback7, loadReviewsJSON, pickReviewSet, assignAvatarsToReviewSet, listAllAvatarImages } from './trials/reputation.js';
+        pickReviewConditionFallback7, listAllAvatarImages } from './trials/reputation.js';
 
 import { logEnqueue, scheduleFlush, flushSyncBeacon, clearLocalQueue, requestDeleteByParticipant } from './logging/index.js';
-import { buildRowsForLogging } from './logging/build.js';
+import { buildRowsForLogging, logTrialRow } from './logging/build.js';
+import { scoringEnabled, scoreSummary } from './data/scoring.js';
 import { waitForMobileGate, IS_MOBILE  } from './utils/misc.js';
-
-// Trial modules
-import { demographicsTrial } from './trials/demographics.js';
-import { overviewTrial } from './trials/overview.js';
-import { robotDescriptionTrial } from './trials/robotDescription.js';
-import { trust40Trial } from './trials/trustQuestionnaires.js';
-import { makeTrustProbeTrial } from './trials/trustProbe.js';
-import { selfConfidenceTrial } from './trials/selfConfidence.js';
-import { readyTrial } from './trials/ready.js';
-import { makeReviewsTrial, reputationProbeTrial } from './trials/reputation.js';
-import { createDoorTrial } from './trials/doorTrial.js';
+import { startFullscreenGuard, stopFullscreenGuard, fullscreenQualityMetrics } from './ui/fullscreenGuard.js';
+import { prepareSessionResume, finishSession } from './data/session.js';
+import { startGamepadInput } from './ui/gamepad.js';
+import { startInputModalityTracking, resetInputModality } from './utils/inputModality.js';
 
 /**
  * Bootstraps the experience after the initial HTML fragments are in place and
@@ -95,8 +89,9 @@ export async function bootstrap() {
      * Initializes and runs jsPsych:
      * - Sets global data properties.
      * - Preloads assets.
-     * - Builds the timeline: intro → trust40 (pre) → probe → self-confidence → reviews (+probe)
-     *   → ready → training demo → blocks 1–3 → trust40 (post) → probe.
+     * - Builds the timeline from the study definition (stage registry in trials/stages.js); the
+     *   default study runs intro → trust40 (pre) → probe → self-confidence → reviews (+probe)
+     *   → ready → training demo → blocks → trust40 (post) → probe.
      * - Registers exit/withdraw flows (keep/discard).
      */
     async function startJsPsych(){
@@ -104,11 +99,15 @@ export async function bootstrap() {
 
         const jsPsych = initJsPsych({
             display_element: document.getElementById('jspsych-target'),
+            // Rows record the input used in their own trial (utils/inputModality.js).
+            on_trial_start: () => resetInputModality(),
             on_finish: function(){
                 // If stopped via exit modal, skip normal end-of-experiment UI.
                 if (window.__MANUAL_END__) return;
 
-                // Leave fullscreen and restore page scroll.
+                // Leave fullscreen and restore page scroll; a reload now starts a new session.
+                stopFullscreenGuard();
+                finishSession();
                 try { if (document.fullscreenElement && document.exitFullscreen) { document.exitFullscreen().catch(()=>{}); } } catch(_){}
                 document.documentElement.style.overflow = '';
                 document.body.style.overflow = '';
@@ -131,6 +130,10 @@ export async function bootstrap() {
                     final?.style.setProperty('display','block');
                 }
 
+                // Mission score → bonus on the end screen + session summary row.
+                finalizeMissionScore();
+                logSessionQuality();
+
                 // Log final dataset unless user chose to discard.
                 if (!window.__DISCARD_DATA__) {
                     const rows = buildRowsForLogging(jsPsych.data.get().values());
@@ -142,6 +145,52 @@ export async function bootstrap() {
         // Expose the instance globally for modules that do not import it directly.
         window.jsPsych = jsPsych;
 
+        // Count fullscreen exits; door blocks pause on them (see ui/fullscreenGuard.js).
+        startFullscreenGuard(jsPsych);
+
+        // Keyboard / pointer / game controller input per row; controllers drive the screens (ui/gamepad.js).
+        startInputModalityTracking();
+        startGamepadInput(jsPsych);
+
+        /**
+         * Show the bonus earned on the end screens and log a one-off session summary row.
+         * No-op when scoring is disabled; idempotent across normal and early-exit endings.
+         */
+        function finalizeMissionScore() {
+            if (!scoringEnabled() || window.__SCORE_FINALIZED__) return;
+            window.__SCORE_FINALIZED__ = true;
+
+            const summary = scoreSummary();
+            document.querySelectorAll('.final-bonus').forEach((el) => {
+                el.textContent = `Mission score: ${summary.score_total} points — bonus earned: ${summary.bonus_text}`;
+                el.style.display = 'block';
+            });
+
+            if (!window.__DISCARD_DATA__) {
+                logTrialRow({
+                    event_type: 'session_summary',
+                    trial_type: 'session_summary',
+                    participant_id: pid,
+                    ...summary
+                });
+            }
+        }
+
+        /**
+         * Log the session's quality metrics (fullscreen exits and time away during the door
+         * blocks) once as a `session_quality` row. Idempotent across normal and early-exit endings.
+         */
+        function logSessionQuality() {
+            if (window.__QUALITY_LOGGED__ || window.__DISCARD_DATA__) return;
+            window.__QUALITY_LOGGED__ = true;
+            logTrialRow({
+                event_type: 'session_quality',
+                trial_type: 'session_quality',
+                participant_id: pid,
+                ...fullscreenQualityMetrics()
+            });
+        }
+
         // Timeline is built in-flight (we interleave async steps like review assignment).
         const timeline = [];
 
@@ -196,36 +245,6 @@ export async function bootstrap() {
             ...listAllAvatarImages()
         ]);
 
-        // If we’re not already fullscreen, include jsPsych’s fullscreen helper (desktop only).
-        const needFullscreenTrial =
-            !IS_MOBILE &&
-            !document.fullscreenElement &&
-            !(document.webkitFullscreenElement) &&
-            !(document.msFullscreenElement);
-
-        if (needFullscreenTrial) {
-            const enter_fullscreen = {
-                type: jsPsychFullscreen,
-                fullscreen_mode: true,
-                message: '<p>For the best experience, we will switch to full screen.</p>',
-                button_label: 'Enter full screen'
-            };
-            timeline.push(enter_fullscreen);
-        }
-
-        // Intro flow: demographics → overview → robot description → Trust-40 (pre) → probe → self-confidence.
-        timeline.push(
-            demographicsTrial,
-            overviewTrial,
-            robotDescriptionTrial,
-            {
-                ...trust40Trial,
-                data: { ...(trust40Trial.data || {}), event_type: 'questionnaire40pre' }
-            },
-            makeTrustProbeTrial('after_trust40_pre'),
-            selfConfidenceTrial,
-        );
-
         showLoadingOverlay('Loading experiment… Please wait');
 
         // Assign review condition client-side in a balanced, deterministic way.
@@ -284,53 +303,14 @@ export async function bootstrap() {
         console.log('[reviews] PID', pid, '→ review_condition:', reviewCondition);
 
 
-        // Build the reviews trial (cards + avatar assignment) + reputation probe.
-        const REVIEWS = await loadReviewsJSON();
-        let reviewsTrial = null;
-
-        if (REVIEWS) {
-            // Use the condition assigned on the client (e.g. via pickReviewConditionFallback7)
-            const label =
-                window.ASSIGNED_REVIEW_CONDITION ||
-                CONFIG.review_condition;
-
-            const expected = Number(
-                CONFIG.review_expected_map &&
-                Object.prototype.hasOwnProperty.call(CONFIG.review_expected_map, label)
-                    ? CONFIG.review_expected_map[label]
-                    : 0
-            );
-
-            const set = pickReviewSet(REVIEWS, label, randSeeded);
-            const reviewSetWithAvatars = assignAvatarsToReviewSet(set, randSeeded);
-
-            reviewsTrial = makeReviewsTrial({
-                reviewSet: reviewSetWithAvatars,
-                condition: label,
-                expectedReputation: expected
-            });
-
-            timeline.push(reviewsTrial, reputationProbeTrial);
-        }
-
-
-        // Short “what you’ll see next” screen before the one-trial demo + main task start.
-        timeline.push(readyTrial);
-
-        // --- Training (non-interactive demos) ---
-        // Generate N demo trials (HUD/off, no outcomes), then fade to dark to flow into Block 1.
-        const __TRAIN = generateTrainingTrials(CONFIG.training.n, randSeeded);
-        timeline.push(makeFadeTransition({ to: 'dark', fadeIn: false, holdMs: 0 }));
-        __TRAIN.forEach((t, i) => {
-            timeline.push(createDoorTrial(t, i, __TRAIN.length, { training: true, demo: true }));
-        });
-
-        // --- Blocks (door trials with mid-block probes inserted per cadence/explicit indices) ---
-        // initExperiment() mutates timeline by appending Block 1 → mid probe → Block 2 → … → Block 3.
+        // Stages from the study definition (conditions/study_v1.json; `?study=` picks another).
+        // The review condition above is assigned whether or not the study shows reviews.
         try {
-            await initExperiment(timeline);
+            const study = normalizeStudy(await loadStudyDefinition(), Object.keys(STAGES));
+            logStudyDefinition(study);
+            await buildStudyTimeline(study, timeline);
         } catch (err) {
-            // If block preparation fails, keep the loader visible with a human-readable prompt.
+            // If the study cannot be prepared, keep the loader visible with a human-readable prompt.
             const el = document.getElementById('loadingOverlay');
             if (el) {
                 const t = el.querySelector('.loading-text');
@@ -338,15 +318,46 @@ export async function bootstrap() {
                 el.classList.add('visible');
             }
             console.error('Init failed:', err);
+            return;
         }
 
-        // Post flow: Trust-40 (post) + final probe.
-        timeline.push(makeFadeTransition('light', 300));
-        timeline.push({
-            ...trust40Trial,
-            data: { ...(trust40Trial.data || {}), event_type: 'questionnaire40post' }
-        });
-        timeline.push(makeTrustProbeTrial('after_trust40_post'));
+        /**
+         * Record which study definition this session runs: stamped on every row (`study_id`)
+         * and logged once in full (`study_definition` row).
+         */
+        function logStudyDefinition(study) {
+            window.EXP_METADATA = window.EXP_METADATA || {};
+            window.EXP_METADATA.study_id = study.id;
+            jsPsych.data.addProperties({ study_id: study.id });
+            logTrialRow({
+                event_type: 'study_definition',
+                trial_type: 'study_definition',
+                participant_id: pid,
+                study_id: study.id,
+                study_stages: study.stages.map(s => s.stage).join(','),
+                study_json: JSON.stringify(study)
+            });
+        }
+
+        /**
+         * Skip what a refreshed session already finished and continue at the next unfinished
+         * trial (data/session.js). Rows carry `resume_segment`; each resume is logged once.
+         */
+        const resume = prepareSessionResume(timeline);
+        jsPsych.data.addProperties({ resume_segment: resume.segment });
+        if (resume.resumed) {
+            logTrialRow({
+                event_type: 'session_resume',
+                trial_type: 'session_resume',
+                participant_id: pid,
+                resume_segment: resume.segment,
+                resume_units_done: resume.units_done,
+                resume_from: resume.resume_from
+            });
+            console.info('[session] Resumed at', resume.resume_from, '(segment', resume.segment + ')');
+        } else if (resume.dropped) {
+            console.warn('[session] Saved progress does not match this build; starting over.');
+        }
 
         // ===== Exit / Withdraw UI bindings =====
         const exitBtn   = document.getElementById('exit-btn');
@@ -383,6 +394,9 @@ export async function bootstrap() {
             try { jsPsych.pluginAPI.clearAllTimeouts?.(); } catch(_) {}
 
             showEndScreenKeep();
+            finalizeMissionScore();
+            logSessionQuality();
+            finishSession();
 
             try { jsPsych.pluginAPI.cancelAllKeyboardResponses?.(); } catch(_){}
             try { jsPsych.pluginAPI.clearAllTimeouts?.(); } catch(_){}
@@ -400,8 +414,9 @@ export async function bootstrap() {
             window.__MANUAL_END__ = true;
             exitModal.style.display = 'none';
 
-            // 1) Remove any local log queue (IDB/LS).
+            // 1) Remove any local log queue (IDB/LS) and saved progress.
             try { await clearLocalQueue(); } catch(_) {}
+            finishSession({ discard: true });
 
             // 2) Reset jsPsych in-memory data and ask backend to delete by participant ID.
             try { jsPsych.data.reset(); } catch(_){}
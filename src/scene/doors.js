@@ -0,0 +1,134 @@
+/**
+ * @file src/scene/doors.js
+ * @summary
+ *  Door model shared by the scene renderer, the door trial and the set loader:
+ *   - Source-space door coordinates: a default two-door layout, and per-background
+ *     layouts for 3–4 doors (required; `hasDoorLayout` gates the loader and the trial).
+ *   - Stable side labels per door index ('left'|'right' for the classic scene).
+ *   - Parsing of compact door tokens used in condition sets ('L'/'R' or index).
+ *
+ * Door indices are 0-based and ordered left → right on screen.
+ */
+
+/** Smallest and largest number of doors a scene can hold. */
+export const MIN_DOORS = 2;
+export const MAX_DOORS = 4;
+
+/**
+ * Static source-space coordinates for the doors, in pixels, relative to the
+ * original 1920×1080 background asset (before scaling). These are written to
+ * data attributes and converted to screen-space by positioning.js.
+ *
+ * `doors[2]` is the default two-door layout; it matches the two openings painted on
+ * the bundled backgrounds (background1–3.png). `backgrounds` maps a background file
+ * name (e.g. 'hall3.png') to a partial `{ [n]: [...] }` layout. Scenes with 3 or 4
+ * doors have no default: every background the study can pick needs its own entry,
+ * e.g. `backgrounds: { 'hall3.png': { 3: [{ x: 260, y: 248 }, …] } }`, and the set
+ * loader, validator and door trial reject door counts a background does not register.
+ */
+export const SCENE_LAYOUT = {
+  doors: {
+    2: [
+      { x: 479,  y: 248 },
+      { x: 1132, y: 248 }
+    ]
+  },
+  backgrounds: {}
+};
+
+/** Side labels per door count; used for data columns and HUD copy. */
+const DOOR_LABELS = {
+  2: ['left', 'right'],
+  3: ['left', 'middle', 'right'],
+  4: ['far_left', 'center_left', 'center_right', 'far_right']
+};
+
+/**
+ * Clamp a requested door count to the supported range.
+ * @param {any} n
+ * @returns {number}
+ */
+export function normalizeDoorCount(n) {
+  const k = Math.round(Number(n));
+  if (!isFinite(k)) return MIN_DOORS;
+  return Math.max(MIN_DOORS, Math.min(MAX_DOORS, k));
+}
+
+/**
+ * Resolve the source-space door coordinates for a background and door count.
+ * @param {string} backgroundSrc  Background URL (only the file name is matched).
+ * @param {number} doorCount
+ * @returns {{x:number, y:number}[]|null}  null when no layout is registered for this pair.
+ */
+export function getDoorLayout(backgroundSrc, doorCount) {
+  const n = normalizeDoorCount(doorCount);
+  const bgName = String(backgroundSrc || '').split('/').pop();
+  const perBg = SCENE_LAYOUT.backgrounds[bgName];
+  if (perBg && Array.isArray(perBg[n])) return perBg[n];
+  return SCENE_LAYOUT.doors[n] || null;
+}
+
+/**
+ * Whether a background has door coordinates for this door count.
+ * @param {string} backgroundSrc
+ * @param {number} doorCount
+ * @returns {boolean}
+ */
+export function hasDoorLayout(backgroundSrc, doorCount) {
+  return getDoorLayout(backgroundSrc, doorCount) !== null;
+}
+
+/**
+ * Backgrounds (file names) among `backgrounds` that lack a layout for this door count.
+ * @param {string[]} backgrounds  Background URLs or file names the study can pick from.
+ * @param {number} doorCount
+ * @returns {string[]}
+ */
+export function backgroundsWithoutLayout(backgrounds, doorCount) {
+  return backgrounds
+    .filter(src => !hasDoorLayout(src, doorCount))
+    .map(src => String(src).split('/').pop());
+}
+
+/**
+ * Side label for a door index (e.g., 0 → 'left' in a two-door scene).
+ * @param {number} index
+ * @param {number} doorCount
+ * @returns {string|null}
+ */
+export function doorLabel(index, doorCount) {
+  const labels = DOOR_LABELS[normalizeDoorCount(doorCount)];
+  return (Number.isInteger(index) && labels[index]) ? labels[index] : null;
+}
+
+/**
+ * Human-readable door name for HUD copy (e.g., 'far left').
+ * @param {number} index
+ * @param {number} doorCount
+ * @returns {string}
+ */
+export function doorDisplayName(index, doorCount) {
+  const label = doorLabel(index, doorCount);
+  return label ? label.replace(/_/g, ' ') : `#${index + 1}`;
+}
+
+/**
+ * Parse a compact door token from a condition set.
+ * Accepts 'L'/'R' (first/last door), a 0-based index, or a side label.
+ * @param {string|number} token
+ * @param {number} doorCount
+ * @returns {number|null} door index, or null when the token is invalid.
+ */
+export function parseDoorToken(token, doorCount) {
+  const n = normalizeDoorCount(doorCount);
+  if (token === 'L') return 0;
+  if (token === 'R') return n - 1;
+
+  if (typeof token === 'number' || (typeof token === 'string' && /^\d+$/.test(token))) {
+    const i = Number(token);
+    return (i >= 0 && i < n) ? i : null;
+  }
+
+  const i = DOOR_LABELS[n].indexOf(String(token));
+  return i >= 0 ? i : null;
+}
@@ -3,7 +3,7 @@
  * @summary
  *  Layout engine for the door scene:
  *   - Scales the background to the visible viewport (contain).
- *   - Positions/sizes doors, revealed images, smoke/fire layers, and the drone.
+ *   - Positions/sizes doors (2–4), revealed images, smoke/fire layers, and the drone.
  *   - Wires FX (one-shot, trial-synced) without restarting on relayouts.
  *   - Exposes a resize listener helper for responsive updates.
  */
@@ -11,11 +11,13 @@
 /**
  * Measure the scene and place all visual layers relative to the scaled background.
  * Uses natural image sizes when available for accurate aspect ratios.
- * FX timing is synchronized to the current trial via CONFIG._fx_trial_* fields.
+ * FX timing is synchronized to the current trial via `fx.duration_ms` / `fx.start_ts`.
  *
  * @param {HTMLElement} display_element The jsPsych display element holding .scene-frame
+ * @param {object} [fx] Fire/smoke geometry (`*_vw`/`*_vh` fractions, `*_px` fallbacks),
+ *                      `smoke_opacity`, and the trial's FX period (`duration_ms`, `start_ts`).
  */
-export async function positionSceneOverlays(display_element) {
+export async function positionSceneOverlays(display_element, fx = {}) {
   const frame = display_element.querySelector('.scene-frame');
   if (!frame) return;
 
@@ -24,7 +26,7 @@ export async function positionSceneOverlays(display_element) {
 
   // If the background hasn't populated intrinsic dimensions yet, retry on load.
   if (!(bg.naturalWidth > 0 && bg.naturalHeight > 0)) {
-    bg.addEventListener('load', () => positionSceneOverlays(display_element), { once: true });
+    bg.addEventListener('load', () => positionSceneOverlays(display_element, fx), { once: true });
     console.warn('[FX] background not ready; retrying on load');
     return;
   }
@@ -77,23 +79,23 @@ export async function positionSceneOverlays(display_element) {
 
   // Insets and maximum inward slides (px or fraction of width)
   const smokePad = asPxFromFracOrPx({
-    frac: window.CONFIG?.smoke_base_inset_vw,
-    px:   window.CONFIG?.smoke_base_inset_px,
+    frac: fx.smoke_base_inset_vw,
+    px:   fx.smoke_base_inset_px,
     basisPx: dispBgW
   });
   const firePad = asPxFromFracOrPx({
-    frac: window.CONFIG?.fire_base_inset_vw,
-    px:   window.CONFIG?.fire_base_inset_px,
+    frac: fx.fire_base_inset_vw,
+    px:   fx.fire_base_inset_px,
     basisPx: dispBgW
   });
   const maxSmokeInward = asPxFromFracOrPx({
-    frac: window.CONFIG?.smoke_inward_vw,
-    px:   window.CONFIG?.smoke_inward_px,
+    frac: fx.smoke_inward_vw,
+    px:   fx.smoke_inward_px,
     basisPx: dispBgW
   });
   const maxFireInward = asPxFromFracOrPx({
-    frac: window.CONFIG?.fire_inward_vw,
-    px:   window.CONFIG?.fire_inward_px,
+    frac: fx.fire_inward_vw,
+    px:   fx.fire_inward_px,
     basisPx: dispBgW
   });
 
@@ -108,16 +110,16 @@ export async function positionSceneOverlays(display_element) {
 
   // Smoke vector components (rise + inward slide)
   const smokeRise = asPxFromFracOrPx({
-    frac: window.CONFIG?.smoke_rise_vh,
-    px:   window.CONFIG?.smoke_rise_px,
+    frac: fx.smoke_rise_vh,
+    px:   fx.smoke_rise_px,
     basisPx: dispBgH
   });
   const smokeSlide = maxSmokeInward;
   const fireSlide  = maxFireInward;
 
   const smokeY0 = asPxFromFracOrPx({
-    frac: window.CONFIG?.smoke_y_offset_vh,
-    px:   window.CONFIG?.smoke_y_offset_px,
+    frac: fx.smoke_y_offset_vh,
+    px:   fx.smoke_y_offset_px,
     basisPx: dispBgH
   });
 
@@ -148,9 +150,8 @@ export async function positionSceneOverlays(display_element) {
   }
 
   // ---------- FX timing (one-shot, synced to trial progress) ----------
-  const _cfg = window.CONFIG || {};
-  const trialPlannedMs = Math.max(500, Number(_cfg._fx_trial_duration_ms) || 1800);
-  const startedAt = Number(_cfg._fx_trial_start_ts) || performance.now();
+  const trialPlannedMs = Math.max(500, Number(fx.duration_ms) || 1800);
+  const startedAt = Number(fx.start_ts) || performance.now();
   const elapsed = Math.max(0, performance.now() - startedAt);
 
   // If relayout happens after the planned period, extend slightly so we never “jump”.
@@ -172,7 +173,7 @@ export async function positionSceneOverlays(display_element) {
   applySyncedOneShot(smokeR, trialMs);
 
   // Opacity configuration for smoke
-  const sOpacity = (window.CONFIG?.smoke_opacity ?? 0.32);
+  const sOpacity = (fx.smoke_opacity ?? 0.32);
   [smokeL, smokeR].forEach(el => { if (el) el.style.setProperty('--smoke-opacity', String(sOpacity)); });
 
   // ---------- Frame & background pixel size (match the scaled background) ----------
@@ -201,9 +202,7 @@ export async function positionSceneOverlays(display_element) {
     el.style.width  = dispW    + 'px';
     el.style.height = dispH    + 'px';
 
-    const revealed = el.classList.contains('left-door')
-      ? frame.querySelector('.left-revealed')
-      : frame.querySelector('.right-revealed');
+    const revealed = frame.querySelector(`.revealed-image[data-door="${el.getAttribute('data-door')}"]`);
 
     if (revealed) {
       const naturalW = revealed.naturalWidth  || 0;
@@ -228,9 +227,10 @@ export async function positionSceneOverlays(display_element) {
     }
   });
 
-  // ---------- Drone centered between doors (horizontally) and vertically centered ----------
-  const leftEl  = frame.querySelector('.left-door');
-  const rightEl = frame.querySelector('.right-door');
+  // ---------- Drone centered between outermost doors (horizontally) and vertically centered ----------
+  const doorEls = frame.querySelectorAll('.overlay.door');
+  const leftEl  = doorEls[0];
+  const rightEl = doorEls[doorEls.length - 1];
   const drone   = frame.querySelector('.overlay-drone');
 
   if (drone && leftEl && rightEl) {
@@ -265,14 +265,15 @@ export async function positionSceneOverlays(display_element) {
  * Returns a disposer to remove the listener.
  *
  * @param {HTMLElement} display_element
+ * @param {object} [fx] Passed to `positionSceneOverlays` (read again on every relayout).
  * @returns {() => void} disposer
  */
-export function attachScenePositioning(display_element) {
-  positionSceneOverlays(display_element);
+export function attachScenePositioning(display_element, fx = {}) {
+  positionSceneOverlays(display_element, fx);
   let to = null;
   const handler = () => {
     if (to) clearTimeout(to);
-    to = setTimeout(() => positionSceneOverlays(display_element), 80);
+    to = setTimeout(() => positionSceneOverlays(display_element, fx), 80);
   };
   window.addEventListener('resize', handler);
   return () => window.removeEventListener('resize', handler);
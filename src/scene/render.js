@@ -3,37 +3,40 @@
  * @summary
  *  Generates the scene HTML for a single door-trial instance:
  *   - Background image
- *   - Left/right doors (positioned later by positioning.js)
+ *   - 2–4 doors (positioned later by positioning.js)
  *   - Foreground FX layers (smoke/fire)
  *   - Drone overlay with animated rotors
- *   - HUD widgets: trial counter, decision box, mission panel
+ *   - HUD widgets: trial counter, optional score counter, decision box (with optional drone confidence), mission panel
  *
  * The container returned by `renderSceneHtml` is consumed by jsPsych and then
  * measured/positioned by `positionSceneOverlays()`.
  */
 
-/**
- * Static source-space coordinates for the doors, in pixels, relative to the
- * original background asset (before scaling). These are written to data
- * attributes and converted to screen-space by positioning.js.
- */
-export const SCENE_LAYOUT = {
-  leftDoorX:  479,
-  leftDoorY:  248,
-  rightDoorX: 1132,
-  rightDoorY: 248
-};
+import { getDoorLayout, doorLabel, normalizeDoorCount } from './doors.js';
 
 /**
  * Build the HTML markup for the scene.
  *
  * @param {Object} params
- * @param {'left'|'right'|'none'} [params.suggestion='none']  — Drone’s recommended door (for copy only).
- * @param {'left'|'right'|null} [params.true_location=null]   — Ground truth for this trial.
+ * @param {number} [params.door_count=2]                      — Number of doors in the scene (2–4).
+ * @param {number|null} [params.suggested_door=null]          — Drone’s recommended door index (for copy only).
+ * @param {number|null} [params.true_door=null]               — Ground-truth door index for this trial.
+ * @param {number|null} [params.drone_confidence=null]        — Drone’s stated confidence (0–1); null hides the meter.
+ * @param {string|null} [params.explanation_text=null]        — Drone rationale (transparency manipulation); null hides it.
+ * @param {boolean} [params.judge_advisor=false]              — Render the pre-advice initial-choice panel.
+ * @param {boolean} [params.allow_delegate=false]             — Add the “delegate to drone” choices to the HUD.
+ * @param {number|null} [params.peek_cost_ms=null]            — Integrity cost of a thermal peek; null hides the peek row.
+ * @param {number|null} [params.rescan_cost_ms=null]          — Integrity cost of a rescan; null hides the rescan button.
+ * @param {string|null} [params.post_confidence_scale=null]   — 'likert5' | 'percent' post-decision rating panel; null omits it.
+ * @param {string} [params.post_confidence_prompt]            — Question above the rating panel.
  * @param {number} [params.trial_num=1]                       — 1-based index of current trial.
  * @param {number} [params.trial_total=1]                     — Total number of trials.
+ * @param {number|null} [params.score_total=null]            — Running mission score; null hides the score HUD.
+ * @param {string|null} [params.follow_key_label='F']        — Key hint on “Follow drone”; null omits it.
+ * @param {string|null} [params.other_key_label='N']         — Key hint on “Choose other door” (two doors); null omits it.
  * @param {string} params.background_src                      — Background image URL.
- * @param {string} params.door_src                            — Door image URL (reused left/right).
+ * @param {string} params.door_src                            — Door image URL (reused for every door).
+ * @param {string} [params.drone_src='assets/drone.png']      — Drone body image URL.
  * @param {string} params.smoke_left_src                      — Left smoke image URL.
  * @param {string} params.smoke_right_src                     — Right smoke image URL.
  * @param {string} params.fire_left_src                       — Left fire image URL.
@@ -41,34 +44,148 @@ export const SCENE_LAYOUT = {
  * @returns {string} HTML string for injection into the jsPsych display element.
  *
  * Notes:
- *  - `.scene-root` carries `data-true` for downstream logic.
- *  - `.overlay` elements (doors) include `data-orig-x`/`data-orig-y` with
- *    source-space positions used by positioning.js to compute screen placement.
+ *  - `.scene-root` carries `data-true` (door index) for downstream logic.
+ *  - `.overlay.door` elements carry `data-door` (0-based, left → right) and
+ *    `data-orig-x`/`data-orig-y` with source-space positions used by
+ *    positioning.js to compute screen placement.
  *  - Foreground FX elements have classes consumed by CSS and positioning.js.
+ *    Fire and smoke come in from the left and right edges only; inner doors of
+ *    3–4 door scenes get no FX of their own.
  *  - The decision box and mission panel are hidden by default; they are driven
- *    by doorTrial.js during the interaction.
+ *    by the door-trial plugin during the interaction. Two-door scenes keep the classic
+ *    Follow/Ignore pair; larger scenes list one button per alternative door.
+ *  - Key hints sit in `.key-hint` spans, which the plugin updates when a rescan moves
+ *    the recommendation (per-door key scheme).
+ *  - `#decision-text` holds the recommendation copy (`.decision-copy`), an
+ *    optional rationale line, and, when a confidence is given, a meter that
+ *    the plugin counts up from 0%.
+ *  - Judge–advisor trials add `#initial-choice` (one `.initial-door` button per
+ *    door), shown by the door-trial plugin before the scan.
  */
 export function renderSceneHtml({
-  suggestion = 'none',
-  true_location = null,
+  door_count = 2,
+  suggested_door = null,
+  true_door = null,
+  drone_confidence = null,
+  explanation_text = null,
+  judge_advisor = false,
+  allow_delegate = false,
+  peek_cost_ms = null,
+  rescan_cost_ms = null,
+  post_confidence_scale = null,
+  post_confidence_prompt = 'How confident are you in your choice?',
   trial_num = 1,
   trial_total = 1,
+  score_total = null,
+  follow_key_label = 'F',
+  other_key_label = 'N',
   background_src,
   door_src,
+  drone_src = 'assets/drone.png',
   smoke_left_src,
   smoke_right_src,
   fire_left_src,
   fire_right_src
 }) {
+  const n = normalizeDoorCount(door_count);
+  const layout = getDoorLayout(background_src, n);
+  if (!layout) throw new Error(`No ${n}-door layout for background '${background_src}'.`);
+
+  const revealHtml = layout.map((_, i) => `
+        <img src="assets/empty.png" class="revealed-image door-revealed" data-door="${i}" data-side="${doorLabel(i, n)}" alt="">`
+  ).join('');
+
+  const doorsHtml = layout.map((pos, i) => `
+        <div class="overlay door" data-door="${i}" data-side="${doorLabel(i, n)}"
+             data-orig-x="${pos.x}"
+             data-orig-y="${pos.y}">
+          <img src="${door_src}" class="door-image" alt="">
+          <div class="peek-cue" aria-live="polite"></div>
+        </div>`
+  ).join('');
+
+  // Two doors: “other door” is unambiguous. More doors: one button per alternative
+  // (the suggested door's button is hidden; a rescan may move the recommendation).
+  const otherDoorsHtml = (n === 2)
+    ? `<button id="btn-ignore" class="secondaryBtn">Choose other door${keyHint(other_key_label)}</button>`
+    : `<div class="door-choices">${layout.map((_, i) => `
+              <button class="secondaryBtn door-choice" data-door="${i}"${(i === suggested_door) ? ' hidden' : ''}>Door ${i + 1} (${i + 1})</button>`).join('')}
+            </div>`;
+
+  // Stated confidence sits inside #decision-text; the fill/percent start at 0 and are animated.
+  const confidenceHtml = (typeof drone_confidence === 'number') ? `
+            <span class="drone-confidence" id="drone-confidence" data-value="${drone_confidence}">
+              <span class="dc-label">Drone confidence</span>
+              <span class="dc-wrap"><span class="dc-fill" id="dc-fill"></span></span>
+              <span class="dc-pct" id="dc-pct">0%</span>
+            </span>` : '';
+
+  const rationaleHtml = explanation_text ? `
+            <span class="decision-rationale" id="decision-rationale">${explanation_text}</span>` : '';
+
+  const scoreHtml = (typeof score_total === 'number') ? `
+        <!-- Mission score (sits beside the trial counter; updated by doorTrialPlugin.js) -->
+        <div class="score-counter" aria-live="polite">
+          <span class="sc-label">Score</span>
+          <span class="sc-total" id="sc-total">${score_total}</span>
+          <span class="sc-delta" id="sc-delta"></span>
+        </div>` : '';
+
+  const initialChoiceHtml = judge_advisor ? `
+        <!-- Judge–advisor stage 1 (shown by the door-trial plugin before the scan) -->
+        <div id="initial-choice" class="initial-choice" role="group" aria-label="Initial choice">
+          <p class="ic-prompt">Before the drone scans: which door do you think hides the victim?</p>
+          <div class="ic-doors">${layout.map((_, i) => `
+            <button class="secondaryBtn initial-door" data-door="${i}">Door ${i + 1} (${i + 1})</button>`).join('')}
+          </div>
+        </div>` : '';
+
+  // Post-decision confidence: shown by the door-trial plugin after the choice, before the door opens.
+  const pcPrompt = post_confidence_prompt;
+  const postConfidenceHtml = (post_confidence_scale === 'likert5') ? `
+        <div id="post-confidence" class="post-confidence" role="group" aria-label="Confidence rating" data-scale="likert5">
+          <p class="pc-prompt">${pcPrompt}</p>
+          <div class="pc-options">${[1, 2, 3, 4, 5].map(v => `
+            <button class="secondaryBtn pc-option" data-value="${v}">${v}</button>`).join('')}
+          </div>
+          <div class="pc-anchors"><span>1 = guessing</span><span>5 = certain</span></div>
+        </div>` : (post_confidence_scale === 'percent') ? `
+        <div id="post-confidence" class="post-confidence" role="group" aria-label="Confidence rating" data-scale="percent">
+          <p class="pc-prompt">${pcPrompt}</p>
+          <div class="pc-slider">
+            <input type="range" id="pc-range" min="0" max="100" step="1" value="50">
+            <span class="pc-val" id="pc-val">50%</span>
+          </div>
+          <div class="pc-anchors"><span>0 = guessing</span><span>100 = certain</span></div>
+          <button id="pc-submit" class="primaryBtn pc-submit" data-pad="confirm">Confirm (Enter)</button>
+        </div>` : '';
+
+  // Delegation: hand this trial (D) or the rest of the block (B) to the drone.
+  const delegateHtml = allow_delegate ? `
+            <div class="delegate-choices">
+              <button id="btn-delegate" class="secondaryBtn">Let the drone decide (D)</button>
+              <button id="btn-delegate-block" class="secondaryBtn">Drone decides rest of block (B)</button>
+            </div>` : '';
+
+  // Thermal peek: one button per door; the cue is drawn on the door overlay by doorTrialPlugin.js.
+  const peekHtml = (typeof peek_cost_ms === 'number') ? `
+            <div class="peek-choices">
+              <span class="peek-label">Thermal peek (−${(peek_cost_ms / 1000).toFixed(1)} s)</span>${layout.map((_, i) => `
+              <button class="secondaryBtn peek-btn" data-door="${i}">Door ${i + 1}</button>`).join('')}
+            </div>` : '';
+
+  const rescanHtml = (typeof rescan_cost_ms === 'number') ? `
+            <button id="btn-rescan" class="secondaryBtn rescan-btn">Ask drone to rescan (R) · −${(rescan_cost_ms / 1000).toFixed(1)} s</button>` : '';
+
   const droneHtml = `
     <div class="overlay-drone">
-      <img src="assets/drone.png" class="drone-body" alt="Drone">
+      <img src="${drone_src}" class="drone-body" alt="Drone">
       <div class="rotor rotor-left"><div class="disc"></div></div>
       <div class="rotor rotor-right"><div class="disc"></div></div>
     </div>`;
 
   return `
-    <div class="scene-root" style="opacity:0" data-true="${true_location}">
+    <div class="scene-root" style="opacity:0" data-true="${true_door}" data-door-count="${n}">
       <div class="scene-frame">
         <!-- Trial counter (fixed position via CSS) -->
         <div class="trial-counter" aria-hidden="true">
@@ -77,6 +194,7 @@ export function renderSceneHtml({
           <span class="tc-of">of</span>
           <span class="tc-total">${trial_total}</span>
         </div>
+${scoreHtml}
 
         <!-- Background -->
         <img src="${background_src}" class="background" alt="">
@@ -87,33 +205,25 @@ export function renderSceneHtml({
         <img src="${fire_left_src}"   class="fx-layer fire-left"   alt="" aria-hidden="true">
         <img src="${fire_right_src}"  class="fx-layer fire-right"  alt="" aria-hidden="true">
 
-        <!-- Door reveals (initially hidden; controlled by doorTrial.js) -->
-        <img src="assets/empty.png" class="revealed-image left-revealed"  data-side="left"  alt="">
-        <img src="assets/empty.png" class="revealed-image right-revealed" data-side="right" alt="">
+        <!-- Door reveals (initially hidden; controlled by doorTrialPlugin.js) -->${revealHtml}
 
-        <!-- Door overlays; positioned by positioning.js using data-orig-* -->
-        <div class="overlay left-door"
-             data-orig-x="${SCENE_LAYOUT.leftDoorX}"
-             data-orig-y="${SCENE_LAYOUT.leftDoorY}">
-          <img src="${door_src}" class="door-image" alt="">
-        </div>
-
-        <div class="overlay right-door"
-             data-orig-x="${SCENE_LAYOUT.rightDoorX}"
-             data-orig-y="${SCENE_LAYOUT.rightDoorY}">
-          <img src="${door_src}" class="door-image" alt="">
-        </div>
+        <!-- Door overlays; positioned by positioning.js using data-orig-* -->${doorsHtml}
 
         ${droneHtml}
 
-        <!-- Decision box (shown/hidden and animated by doorTrial.js) -->
+${initialChoiceHtml}
+${postConfidenceHtml}
+
+        <!-- Decision box (shown/hidden and animated by doorTrialPlugin.js) -->
         <div id="decision-box" role="group" aria-label="Decision panel">
           <div class="decision-controls">
-            <button id="btn-follow" class="primaryBtn">Follow drone (F)</button>
-            <button id="btn-ignore" class="secondaryBtn">Choose other door (N)</button>
+            <button id="btn-follow" class="primaryBtn">Follow drone${keyHint(follow_key_label)}</button>
+            ${otherDoorsHtml}${peekHtml}${rescanHtml}${delegateHtml}
           </div>
 
-          <p id="decision-text" style="margin-top:2px;">The drone recommends …</p>
+          <p id="decision-text" style="margin-top:2px;">
+            <span class="decision-copy">The drone recommends …</span>${rationaleHtml}${confidenceHtml}
+          </p>
 
           <div class="env-row" style="margin-bottom:6px;">
             <div class="env-label">Environmental Integrity</div>
@@ -130,3 +240,8 @@ export function renderSceneHtml({
       </div>
     </div>`;
 }
+
+/** ' (F)' key hint for a HUD button; empty without a label. */
+function keyHint(label) {
+  return label ? ` (<span class="key-hint">${label}</span>)` : '';
+}
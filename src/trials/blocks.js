@@ -1,25 +1,42 @@
 /**
  * @file src/trials/blocks.js
  * @summary
- *  Orchestrates experiment flow for the three door-trial blocks and interleaved
- *  trust probes / questionnaires. This module:
+ *  Orchestrates experiment flow for the door-trial blocks of the assigned set and the
+ *  content between them (questionnaires, probes, breaks, narrative screens). This module:
  *   - Loads the assigned condition set (blocks/trials)
  *   - Augments each trial with assets and risk overrides
- *   - Pushes door trials onto the jsPsych timeline
+ *   - Attaches drone explanations per the block/participant transparency level
+ *   - Pushes door trials onto the jsPsych timeline (plus a replay slot per block for
+ *     trials re-queued by `timer_action: 'repeat_trial'`)
  *   - Inserts trust probes either by cadence (min/max gap) or by explicit indices
- *   - Places 14-item questionnaires at two midpoints
+ *   - With `CONFIG.adaptive` on, defers each door trial so the reliability controller
+ *     decides its suggestion (and explanation) when it starts
+ *   - Applies a block's `config` overrides while its timeline is built and while it runs
+ *     (restored when it ends), stamping them on every row as `block_config` (and any
+ *     `generator_warnings` of a generated block)
+ *   - Enforces fullscreen while each door block runs (src/ui/fullscreenGuard.js)
+ *   - Places each block's inter-block content (`between` / `after` in the set; Trust-14 +
+ *     probe between blocks by default)
  */
 
+import { applyConfigOverrides, withConfigOverrides } from '../config.js';
 import { makeFadeTransition } from '../ui/theme.js';
 import { makeTrustProbeTrial } from './trustProbe.js';
 import { loadTrialsBlocks, augmentTrialsWithRiskAndAssets } from '../data/sets.js';
 import { randSeeded } from '../data/assets.js';
-import { createDoorTrial } from './doorTrial.js';
-import { trust14Trial } from './trustQuestionnaires.js';
+import { loadExplanationTemplates, resolveParticipantTransparency, attachExplanations, makeExplainer } from '../data/explanations.js';
+import { adaptiveApplies, prepareAdaptiveTrial } from '../data/adaptive.js';
+import { resolveResponseKeys } from '../data/responseKeys.js';
+import { createDoorTrial, createDeferredDoorTrial, createRepeatSlot } from './doorTrial.js';
+import { trust14Trial, trust40Trial } from './trustQuestionnaires.js';
+import { makeBreakTrial, makeNarrativeTrial } from './interBlock.js';
+import { fullscreenGateNode, setFullscreenGuardArmed } from '../ui/fullscreenGuard.js';
+import { notePick } from '../data/session.js';
 
 /**
- * Initialize and populate the jsPsych timeline with:
- *  Block 1 → 14-item (mid1) → Block 2 → 14-item (mid2) → Block 3.
+ * Initialize and populate the jsPsych timeline with every block of the assigned set,
+ * each followed by its inter-block content, e.g. with the default content:
+ *  Block 1 → 14-item (mid1) + probe → Block 2 → 14-item (mid2) + probe → Block 3.
  * Trust probes are added within each block either by cadence or explicit indices.
  *
  * @param {Array<object>} timeline - The mutable jsPsych timeline array.
@@ -29,58 +46,113 @@ export async function initExperiment(timeline) {
   try {
     // Load chosen set & materialize blocks
     const { mode, blocks, set_id } = await loadTrialsBlocks();
-    blocks.forEach(b => { b.trials = augmentTrialsWithRiskAndAssets(b.trials); });
+    blocks.forEach(b => { b.trials = withConfigOverrides(b.config, () => augmentTrialsWithRiskAndAssets(b.trials)); });
+
+    // Assignments a resumed session must reproduce (src/data/session.js).
+    notePick('set_id', set_id);
+    notePick('asset_picks', blocks.map(b => b.trials.map(t => [t.background_src, t.door_src, t.victim_src].join('|'))));
+
+    // Transparency: block/set level from the sets file, else the participant level.
+    // Adaptive blocks explain each trial once its suggestion is decided.
+    const participantTransparency = resolveParticipantTransparency();
+    const explanations = await loadExplanationTemplates();
+    blocks.forEach((b, i) => withConfigOverrides(b.config, () => {
+      const level = b.transparency || participantTransparency;
+      if (adaptiveApplies(i)) {
+        const explain = makeExplainer(explanations, level, randSeeded);
+        b.prepare = (t) => explain(prepareAdaptiveTrial(t, randSeeded));
+      } else {
+        b.trials = attachExplanations(b.trials, explanations, level, randSeeded);
+      }
+    }));
 
     // Persist assigned set for downstream logging/metadata
     window.EXP_METADATA = window.EXP_METADATA || {};
     window.EXP_METADATA.assigned_set = set_id;
+    window.EXP_METADATA.transparency_level = participantTransparency;
+    window.EXP_METADATA.key_map = resolveResponseKeys().key_map;
     console.info('[HRI] Assigned set:', set_id, 'Blocks:', blocks.length);
 
-    // ---------- Block 1 ----------
-    const b1 = blocks[0] || { trials: [], probes: null };
-    if (b1.probes && b1.probes.length) {
-      insertDoorBlockWithExplicitProbes(timeline, b1.trials, 1, b1.probes);
-    } else {
-      insertDoorBlockWithCadenceProbes(timeline, b1.trials, 1, randSeeded);
-    }
-
-    // Midpoint 1: Trust-14 + single probe
-    timeline.push(makeFadeTransition('light', 300));
-    timeline.push({
-      ...trust14Trial,
-      data: { ...(trust14Trial.data || {}), event_type: 'questionnaire14mid1' }
+    blocks.forEach((blk, i) => {
+      pushDoorBlock(timeline, blk, i + 1);
+      pushInterBlock(timeline, blk.after || [], i + 1, i === blocks.length - 1);
     });
-    timeline.push(makeTrustProbeTrial('after_trust14_mid1'));
+  } catch (err) {
+    console.error('Init failed:', err);
+    alert('Failed to load condition sets. See console for details.');
+  }
+}
 
-    // ---------- Block 2 ----------
-    timeline.push(makeFadeTransition({ to: 'dark', fadeIn: false, holdMs: 0 }));
-    const b2 = blocks[1] || { trials: [], probes: null };
-    if (b2.probes && b2.probes.length) {
-      insertDoorBlockWithExplicitProbes(timeline, b2.trials, 2, b2.probes);
-    } else {
-      insertDoorBlockWithCadenceProbes(timeline, b2.trials, 2, randSeeded);
+/**
+ * Append the content that follows a block. Non-empty content runs on the light theme
+ * (fade in); the fade back to the dark scene is added unless this is the last block.
+ *
+ * @param {Array<object>} timeline   - jsPsych timeline to append to.
+ * @param {object[]}      items      - Normalized items from `resolveInterBlock`.
+ * @param {number}        blockIndex - 1-based block the content follows.
+ * @param {boolean}       isLast     - True after the final block.
+ */
+function pushInterBlock(timeline, items, blockIndex, isLast) {
+  if (!items.length) return;
+
+  timeline.push(makeFadeTransition('light', 300));
+  items.forEach((item, j) => {
+    if (item.type === 'trust14' || item.type === 'trust40') {
+      const base = (item.type === 'trust14') ? trust14Trial : trust40Trial;
+      const et = (item.type === 'trust14') ? `questionnaire14mid${blockIndex}` : `questionnaire40mid${blockIndex}`;
+      timeline.push({ ...base, data: { ...(base.data || {}), event_type: et } });
+    } else if (item.type === 'probe') {
+      // Probe tag names what it follows (kept as 'after_trust14_mid<k>' for the default content).
+      const prev = items[j - 1];
+      const tag = (prev && (prev.type === 'trust14' || prev.type === 'trust40'))
+        ? `after_${prev.type}_mid${blockIndex}`
+        : `after_block${blockIndex}`;
+      timeline.push(makeTrustProbeTrial(tag));
+    } else if (item.type === 'break') {
+      timeline.push(makeBreakTrial(item, blockIndex));
+    } else if (item.type === 'narrative') {
+      timeline.push(makeNarrativeTrial(item, blockIndex));
     }
+  });
+  if (!isLast) timeline.push(makeFadeTransition({ to: 'dark', fadeIn: false, holdMs: 0 }));
+}
 
-    // Midpoint 2: Trust-14 + single probe
-    timeline.push(makeFadeTransition('light', 300));
-    timeline.push({
-      ...trust14Trial,
-      data: { ...(trust14Trial.data || {}), event_type: 'questionnaire14mid2' }
-    });
-    timeline.push(makeTrustProbeTrial('after_trust14_mid2'));
-
-    // ---------- Block 3 ----------
-    timeline.push(makeFadeTransition({ to: 'dark', fadeIn: false, holdMs: 0 }));
-    const b3 = blocks[2] || { trials: [], probes: null };
-    if (b3.probes && b3.probes.length) {
-      insertDoorBlockWithExplicitProbes(timeline, b3.trials, 3, b3.probes);
+/**
+ * Append one door block as a nested timeline. The block's `config` overrides are in effect
+ * while its trials are built (factory-time reads) and from its first trial to its replay
+ * slot (runtime reads); every row in the block carries them as `block_config` (JSON).
+ *
+ * @param {Array<object>} timeline   - jsPsych timeline to append to.
+ * @param {object}        blk        - Block from `loadTrialsBlocks` (trials, probes, config, prepare).
+ * @param {number}        blockIndex - 1-based block index.
+ */
+function pushDoorBlock(timeline, blk, blockIndex) {
+  const nodes = [fullscreenGateNode()];
+  withConfigOverrides(blk.config, () => {
+    if (blk.probes && blk.probes.length) {
+      insertDoorBlockWithExplicitProbes(nodes, blk.trials, blockIndex, blk.probes, blk.prepare);
     } else {
-      insertDoorBlockWithCadenceProbes(timeline, b3.trials, 3, randSeeded);
+      insertDoorBlockWithCadenceProbes(nodes, blk.trials, blockIndex, randSeeded, blk.prepare);
     }
-  } catch (err) {
-    console.error('Init failed:', err);
-    alert('Failed to load condition sets. See console for details.');
-  }
+  });
+
+  let restore = null;
+  timeline.push({
+    timeline: nodes,
+    data: {
+      block_config: blk.config ? JSON.stringify(blk.config) : null,
+      ...(blk.generator_warnings ? { generator_warnings: blk.generator_warnings.join('; ') } : {})
+    },
+    on_timeline_start: () => {
+      restore = applyConfigOverrides(blk.config);
+      setFullscreenGuardArmed(true);
+    },
+    on_timeline_finish: () => {
+      setFullscreenGuardArmed(false);
+      restore?.();
+      restore = null;
+    }
+  });
 }
 
 /**
@@ -97,8 +169,9 @@ export async function initExperiment(timeline) {
  * @param {Array<object>} trialsForBlock     - Trials for this block (already asset-augmented).
  * @param {number}        blockIndex         - 1-based block index.
  * @param {() => number}  randFn             - RNG returning [0,1).
+ * @param {Function}      [prepare]          - Adaptive hook run as each trial starts (see doorTrialNode).
  */
-function insertDoorBlockWithCadenceProbes(timeline, trialsForBlock, blockIndex, randFn) {
+function insertDoorBlockWithCadenceProbes(timeline, trialsForBlock, blockIndex, randFn, prepare) {
   const minEvery = window.CONFIG?.trust_probe_every_min ?? 5;
   const maxEvery = window.CONFIG?.trust_probe_every_max ?? minEvery;
 
@@ -113,7 +186,7 @@ function insertDoorBlockWithCadenceProbes(timeline, trialsForBlock, blockIndex,
 
   trialsForBlock.forEach((t, idx) => {
     // Door trial
-    timeline.push(createDoorTrial({ ...t, block_index: (blockIndex - 1) }, idx, trialsForBlock.length));
+    timeline.push(doorTrialNode({ ...t, block_index: (blockIndex - 1) }, idx, trialsForBlock.length, prepare));
     count++;
 
     // Insert probe on cadence (excluding the very last trial unless desired)
@@ -125,6 +198,8 @@ function insertDoorBlockWithCadenceProbes(timeline, trialsForBlock, blockIndex,
       nextAt += nextGap();
     }
   });
+
+  timeline.push(createRepeatSlot(blockIndex - 1));
 }
 
 /**
@@ -134,8 +209,9 @@ function insertDoorBlockWithCadenceProbes(timeline, trialsForBlock, blockIndex,
  * @param {Array<object>} trialsForBlock         - Trials for this block (already asset-augmented).
  * @param {number}        blockIndex             - 1-based block index.
  * @param {Array<number>} explicitProbeIndices   - e.g., [5, 10, 15].
+ * @param {Function}      [prepare]              - Adaptive hook run as each trial starts (see doorTrialNode).
  */
-function insertDoorBlockWithExplicitProbes(timeline, trialsForBlock, blockIndex, explicitProbeIndices) {
+function insertDoorBlockWithExplicitProbes(timeline, trialsForBlock, blockIndex, explicitProbeIndices, prepare) {
   const N = trialsForBlock.length;
   const probeSet = new Set((explicitProbeIndices || []).map(x => Number(x)));
 
@@ -143,7 +219,7 @@ function insertDoorBlockWithExplicitProbes(timeline, trialsForBlock, blockIndex,
     const trialNum = idx + 1;
 
     // Door trial
-    timeline.push(createDoorTrial({ ...t, block_index: (blockIndex - 1) }, idx, N));
+    timeline.push(doorTrialNode({ ...t, block_index: (blockIndex - 1) }, idx, N, prepare));
 
     // Insert probe at explicit index, skipping the final trial unless explicitly required
     const isLast = trialNum === N;
@@ -153,4 +229,22 @@ function insertDoorBlockWithExplicitProbes(timeline, trialsForBlock, blockIndex,
       timeline.push(makeFadeTransition({ to: 'dark', fadeIn: false, holdMs: 0 }));
     }
   });
-}
\ No newline at end of file
+
+  timeline.push(createRepeatSlot(blockIndex - 1));
+}
+
+/**
+ * Door trial for the timeline. With a `prepare` hook (adaptive reliability) the trial is
+ * deferred: the hook runs between door trials, once the previous trial and any probe have
+ * been logged, and the trial is built from the payload it returns.
+ *
+ * @param {object}   t         - Trial payload (with block_index).
+ * @param {number}   idx       - 0-based index within the block.
+ * @param {number}   total     - Trials in the block.
+ * @param {Function} [prepare] - (t) => t with suggestion decided.
+ * @returns {object} jsPsych trial config.
+ */
+function doorTrialNode(t, idx, total, prepare) {
+  if (!prepare) return createDoorTrial(t, idx, total);
+  return createDeferredDoorTrial(() => createDoorTrial(prepare(t), idx, total));
+}
@@ -0,0 +1,204 @@
+/**
+ * @file src/trials/doorPause.js
+ * @description
+ *  Pause/resume for a running door trial. The trial holds while the tab is hidden
+ *  (`visibilitychange`) or after fullscreen is left, and continues once every cause has
+ *  cleared (tab visible again, fullscreen re-entered from the overlay button).
+ *
+ * While paused
+ *  - Web Animations and CSS animations under `scope` are held; ones the trial had already
+ *    paused itself (e.g. FX during the judge–advisor initial choice) are left alone.
+ *  - Timeouts created with `setTimeout()` stop and later run with their remaining time.
+ *  - `now()` stands still, so rAF loops timed on it (integrity countdown, confidence meter)
+ *    resume where they were. Reaction times and phase timestamps are taken on it too.
+ *  - Keys and game controller presses (`gamepad-action`) are swallowed and an overlay
+ *    covers the scene. With `fullscreen_overlay: false` a fullscreen exit shows none: the
+ *    host puts up its own re-entry screen (this app: the fullscreen guard's gate).
+ *
+ * Fullscreen exits only count when the trial started in fullscreen.
+ *
+ * Row fields (see `summary()`)
+ *  - pause_count, pause_total_ms
+ *  - pauses: 'reason:start-end;…' (wall-clock ms since the trial started; reasons 'hidden', 'fullscreen',
+ *    '+'-joined when both applied during one interruption)
+ */
+
+const isFullscreen = () =>
+  !!(document.fullscreenElement || document.webkitFullscreenElement || document.msFullscreenElement);
+
+/**
+ * @param {HTMLElement} scope  Trial display element (animations, overlay host).
+ * @param {{on_hidden?: boolean, on_fullscreen_exit?: boolean, text?: string, fullscreen_overlay?: boolean,
+ *          fullscreen_text?: string, fullscreen_button?: string}|null} opts  null: timers only, never pauses.
+ * @param {{onPause?: (reasons: string[]) => void, onResume?: (pausedMs: number) => void}} [hooks]
+ * @returns {{setTimeout: (fn: Function, ms: number) => object, clearTimeouts: () => void,
+ *            now: () => number, paused: () => boolean, attach: () => void, detach: () => void,
+ *            summary: () => object}}
+ */
+export function createPauseController(scope, opts, hooks = {}) {
+  const t0 = performance.now();
+  const timers = new Set();
+  const active = new Set();     // current causes
+  const log = [];               // { reasons, start, end }
+  const off = [];
+  let current = null;           // open log entry
+  let heldAnims = [];
+  let pausedAt = null;
+  let pausedTotal = 0;
+  let overlay = null;
+
+  const since = (ts) => Math.round(ts - t0);
+
+  // ---------- Pausable timeouts ----------
+  const arm = (tm) => {
+    tm.startedAt = performance.now();
+    tm.id = setTimeout(() => { timers.delete(tm); tm.fn(); }, tm.remaining);
+  };
+
+  const setTimeoutP = (fn, ms) => {
+    const tm = { fn, remaining: Math.max(0, ms || 0), id: null, startedAt: 0 };
+    timers.add(tm);
+    if (pausedAt === null) arm(tm);
+    return tm;
+  };
+
+  const clearTimeouts = () => {
+    timers.forEach(tm => clearTimeout(tm.id));
+    timers.clear();
+  };
+
+  // ---------- Pause / resume ----------
+  const showOverlay = () => {
+    const needsFullscreen = active.has('fullscreen');
+    if (needsFullscreen && opts.fullscreen_overlay === false) {
+      overlay?.remove();
+      overlay = null;
+      return;
+    }
+    if (!overlay) {
+      overlay = document.createElement('div');
+      Object.assign(overlay.style, {
+        position: 'fixed',
+        inset: '0',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '18px',
+        background: 'rgba(0,0,0,0.78)',
+        color: '#fff',
+        fontSize: '24px',
+        fontWeight: '600',
+        textAlign: 'center',
+        padding: '0 24px',
+        zIndex: '10001'
+      });
+      scope.appendChild(overlay);
+    }
+    overlay.innerHTML = `
+      <div>${needsFullscreen ? opts.fullscreen_text : opts.text}</div>
+      ${needsFullscreen ? `<button type="button" style="
+        padding:12px 28px; font-size:18px; border:none; border-radius:8px;
+        background-color:#2a6ebb; color:#fff; cursor:pointer;
+      ">${opts.fullscreen_button}</button>` : ''}
+    `;
+    overlay.querySelector('button')?.addEventListener('click', () => {
+      const el = document.documentElement;
+      try {
+        if (el.requestFullscreen) el.requestFullscreen({ navigationUI: 'hide' }).catch(() => {});
+        else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
+        else if (el.msRequestFullscreen) el.msRequestFullscreen();
+      } catch (_) {}
+    });
+  };
+
+  const pause = () => {
+    const now = performance.now();
+    pausedAt = now;
+    current = { reasons: new Set(active), start: since(now), end: null };
+    log.push(current);
+
+    timers.forEach((tm) => {
+      clearTimeout(tm.id);
+      tm.remaining = Math.max(0, tm.remaining - (now - tm.startedAt));
+    });
+    try {
+      heldAnims = scope.getAnimations({ subtree: true }).filter(a => a.playState === 'running');
+      heldAnims.forEach(a => a.pause());
+    } catch (_) { heldAnims = []; }
+
+    try { hooks.onPause?.([...active]); } catch (_) {}
+  };
+
+  const resume = () => {
+    const ms = performance.now() - pausedAt;
+    pausedTotal += ms;
+    pausedAt = null;
+    current.end = current.start + Math.round(ms);
+    current = null;
+
+    heldAnims.forEach((a) => { try { if (a.playState === 'paused') a.play(); } catch (_) {} });
+    heldAnims = [];
+    timers.forEach(arm);
+    overlay?.remove();
+    overlay = null;
+
+    try { hooks.onResume?.(ms); } catch (_) {}
+  };
+
+  const update = (reason, on) => {
+    const wasPaused = active.size > 0;
+    if (on) active.add(reason); else active.delete(reason);
+    if (on && current) current.reasons.add(reason);
+
+    if (!wasPaused && active.size) pause();
+    else if (wasPaused && !active.size) resume();
+    if (active.size) showOverlay();
+  };
+
+  // ---------- Listeners ----------
+  const attach = () => {
+    if (!opts) return;
+    const listen = (target, type, fn, options) => {
+      target.addEventListener(type, fn, options);
+      off.push(() => target.removeEventListener(type, fn, options));
+    };
+
+    if (opts.on_hidden) {
+      listen(document, 'visibilitychange', () => update('hidden', document.visibilityState === 'hidden'));
+      if (document.visibilityState === 'hidden') update('hidden', true);
+    }
+    if (opts.on_fullscreen_exit && isFullscreen()) {
+      const onFs = () => update('fullscreen', !isFullscreen());
+      listen(document, 'fullscreenchange', onFs);
+      listen(document, 'webkitfullscreenchange', onFs);
+    }
+    // Trial key handlers listen on window; this capture listener is registered first.
+    listen(window, 'keydown', (e) => { if (pausedAt !== null) e.stopImmediatePropagation(); }, true);
+    listen(window, 'gamepad-action', (e) => {
+      if (pausedAt !== null) { e.preventDefault(); e.stopImmediatePropagation(); }
+    }, true);
+  };
+
+  const detach = () => {
+    off.splice(0).forEach(fn => fn());
+    if (current) current.end = since(performance.now());
+    overlay?.remove();
+    overlay = null;
+  };
+
+  return {
+    setTimeout: setTimeoutP,
+    clearTimeouts,
+    /** Trial clock (ms) that stands still while paused. */
+    now: () => performance.now() - pausedTotal - (pausedAt !== null ? performance.now() - pausedAt : 0),
+    paused: () => pausedAt !== null,
+    attach,
+    detach,
+    summary: () => ({
+      pause_count: log.length,
+      pause_total_ms: log.reduce((a, p) => a + ((p.end ?? p.start) - p.start), 0),
+      pauses: log.length ? log.map(p => `${[...p.reasons].join('+')}:${p.start}-${p.end ?? ''}`).join(';') : null
+    })
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * @file src/trials/doorPhases.js
+ * @description
+ *  Phase events for door trials. The plugin announces each phase as it starts, so telemetry,
+ *  audio cues or an experimenter monitor can follow a trial without patching it.
+ *
+ *  Subscribe for every door trial with `onDoorPhase(handler)`, or for one trial with the
+ *  plugin's `on_phase` parameter. Handlers run synchronously; errors are caught and logged
+ *  so a faulty extension cannot stall the trial.
+ *
+ * Phases (in order; skipped ones are not emitted)
+ *  - 'scene'           scene faded in
+ *  - 'entry'           drone flies in
+ *  - 'initial_choice'  judge–advisor stage 1 shown
+ *  - 'prebuffer'       scan cone appears
+ *  - 'scan'            cone sweep across the doors (again after each rescan: `detail.rescan`)
+ *  - 'hop'             drone moves to the recommended door (`detail.door`)
+ *  - 'decision'        decision HUD shown
+ *  - 'rescan'          rescan requested (`detail.rescan`, 1-based)
+ *  - 'post_confidence' confidence rating shown
+ *  - 'door_open'       chosen door opens (`detail.door`, null when none)
+ *  - 'panel'           outcome panel shown
+ *  - 'blackout'        blackout before the next trial
+ *  - 'end'             trial finishing (`detail.data`: the row the plugin reports)
+ *
+ * Interruptions (not phases; see src/trials/doorPause.js): 'pause' (`detail.reasons`),
+ * 'resume' (`detail.paused_ms`).
+ *
+ * Instants within phases are recorded with `mark` (logged, not emitted): 'entry_end',
+ * 'scan_end', 'hop_end', 'hud_actionable', 'first_input', 'decided'.
+ *
+ * Event: { phase, t_ms (since the trial started, on the trial clock), ts (performance.now()), trial, detail }
+ *  The plugin's trial clock is the pause clock, so `t_ms` and the logged times exclude paused time.
+ *  `trial`: trial_num, trial_total, door_count, true_door, suggested_door, demo, auto_play,
+ *  plus the plugin's `context` parameter (this app: block_index, trial_index, is_training).
+ */
+
+/** Phase names, in trial order. */
+export const DOOR_PHASES = [
+  'scene', 'entry', 'initial_choice', 'prebuffer', 'scan', 'hop', 'decision',
+  'rescan', 'post_confidence', 'door_open', 'panel', 'blackout', 'end'
+];
+
+/** Handlers registered for all door trials. */
+const listeners = new Set();
+
+/**
+ * Subscribe to phase events of every door trial.
+ * @param {(event: object) => void} handler
+ * @returns {() => void} Unsubscribe.
+ */
+export function onDoorPhase(handler) {
+  listeners.add(handler);
+  return () => listeners.delete(handler);
+}
+
+/**
+ * Phase emitter for one trial run (used by the plugin).
+ * @param {object} trialContext            Copied onto every event as `trial`.
+ * @param {((event: object) => void)|null} [onPhase]  Per-trial handler.
+ * @param {() => number} [clock]           Trial clock in ms (default `performance.now`).
+ * @returns {{emit: (phase: string, detail?: object) => void, mark: (name: string) => void, times: () => Record<string, number>}}
+ *   `times()`: first onset of each phase and mark, ms since the trial started (0.1 ms resolution).
+ */
+export function createPhaseEmitter(trialContext, onPhase = null, clock = () => performance.now()) {
+  const t0 = clock();
+  const first = {};
+  const since = (ts) => Math.round((ts - t0) * 10) / 10;
+
+  const mark = (name) => {
+    if (!(name in first)) first[name] = since(clock());
+  };
+
+  const emit = (phase, detail = {}) => {
+    const ts = performance.now();
+    const t_ms = since(clock());
+    if (!(phase in first)) first[phase] = t_ms;
+
+    const event = { phase, t_ms, ts, trial: trialContext, detail };
+    [...listeners, onPhase].forEach((fn) => {
+      if (typeof fn !== 'function') return;
+      try { fn(event); } catch (e) { console.warn(`[door-phase] handler failed on '${phase}':`, e); }
+    });
+  };
+
+  return { emit, mark, times: () => ({ ...first }) };
+}
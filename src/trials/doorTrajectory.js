@@ -0,0 +1,116 @@
+/**
+ * @file src/trials/doorTrajectory.js
+ * @description
+ *  Pointer trajectory capture for the door-trial decision window (mouse, touch, pen via
+ *  Pointer Events). Positions are relative to the scene frame, so trials are comparable
+ *  across screen sizes; curvature towards the option not chosen is computed offline.
+ *
+ * Recorded (times in ms since `start()`, i.e. since the decision HUD appeared)
+ *  - samples:  pointer positions, at most one per `sample_ms`, up to `max_samples`
+ *  - hovers:   enter/leave spans over the choice targets
+ *  - abandons: presses on a target released elsewhere (or cancelled) without choosing it
+ *
+ * Compact row fields (see `summary()`)
+ *  - traj_xy:       't,x,y;…' with x/y as fractions of the scene frame (3 decimals)
+ *  - traj_hovers:   'target:enter-leave;…'
+ *  - traj_abandons: 'target:down-up;…'
+ *  - traj_pointer:  pointer types seen ('mouse', 'touch', 'pen', '+'-joined)
+ *  - traj_samples, traj_truncated
+ * Targets: 'follow', 'ignore', 'choice<n>' (door buttons in 3–4 door scenes), 'door<n>' (overlays).
+ */
+
+/**
+ * @param {HTMLElement} sceneEl  `.scene-frame` (coordinate reference).
+ * @param {{el: Element, name: string}[]} targets  Hover/abandon targets.
+ * @param {{sample_ms?: number, max_samples?: number}} [opts]
+ * @returns {{start: () => void, stop: () => void, summary: () => object}}
+ */
+export function createTrajectoryRecorder(sceneEl, targets, opts = {}) {
+  const sampleMs   = Math.max(0, opts.sample_ms ?? 20);
+  const maxSamples = Math.max(1, opts.max_samples ?? 1500);
+
+  const samples  = [];
+  const hovers   = [];
+  const abandons = [];
+  const pointers = new Set();
+  const open     = new Map();   // target name → hover entry time
+  let pressed    = null;        // { name, t }
+  let truncated  = false;
+  let t0 = null;
+  let lastT = -Infinity;
+  const off = [];
+
+  const now = () => Math.round(performance.now() - t0);
+  const targetOf = (node) => targets.find(x => x.el === node || x.el.contains?.(node))?.name ?? null;
+
+  const onMove = (e) => {
+    pointers.add(e.pointerType || 'mouse');
+    const t = now();
+    if (t - lastT < sampleMs) return;
+    if (samples.length >= maxSamples) { truncated = true; return; }
+    const r = sceneEl.getBoundingClientRect();
+    if (!r.width || !r.height) return;
+    lastT = t;
+    samples.push(`${t},${((e.clientX - r.left) / r.width).toFixed(3)},${((e.clientY - r.top) / r.height).toFixed(3)}`);
+  };
+
+  const onDown = (e) => {
+    pointers.add(e.pointerType || 'mouse');
+    const name = targetOf(e.target);
+    pressed = name ? { name, t: now() } : null;
+  };
+
+  const onUp = (e) => {
+    if (!pressed) return;
+    // Released elsewhere: the press was abandoned (touch targets report the pressed element,
+    // so re-check what is under the finger).
+    const under = document.elementFromPoint?.(e.clientX, e.clientY) || e.target;
+    if (e.type === 'pointercancel' || targetOf(under) !== pressed.name) {
+      abandons.push(`${pressed.name}:${pressed.t}-${now()}`);
+    }
+    pressed = null;
+  };
+
+  const listen = (el, type, fn) => {
+    el.addEventListener(type, fn, true);
+    off.push(() => el.removeEventListener(type, fn, true));
+  };
+
+  return {
+    start() {
+      if (t0 !== null) return;
+      t0 = performance.now();
+      listen(window, 'pointermove', onMove);
+      listen(window, 'pointerdown', onDown);
+      listen(window, 'pointerup', onUp);
+      listen(window, 'pointercancel', onUp);
+      targets.forEach(({ el, name }) => {
+        listen(el, 'pointerenter', () => { if (!open.has(name)) open.set(name, now()); });
+        listen(el, 'pointerleave', () => {
+          if (!open.has(name)) return;
+          hovers.push(`${name}:${open.get(name)}-${now()}`);
+          open.delete(name);
+        });
+      });
+    },
+
+    stop() {
+      if (t0 === null) return;
+      const t = now();
+      open.forEach((enter, name) => hovers.push(`${name}:${enter}-${t}`));
+      open.clear();
+      off.splice(0).forEach(fn => fn());
+    },
+
+    summary() {
+      return {
+        traj_xy: samples.length ? samples.join(';') : null,
+        traj_hovers: hovers.length ? hovers.join(';') : null,
+        traj_abandons: abandons.length ? abandons.join(';') : null,
+        traj_pointer: pointers.size ? [...pointers].sort().join('+') : null,
+        traj_samples: samples.length,
+        traj_truncated: truncated
+      };
+    }
+  };
+}
@@ -0,0 +1,1752 @@
+/**
+ * @file src/trials/doorTrialPlugin.js
+ * @description
+ *  jsPsych plugin for the "doors + drone" search task (2–4 doors). Self-contained: every
+ *  timing, risk, asset and behaviour setting is a trial parameter, so the task can run in any
+ *  jsPsych 8 timeline (load `styles/` for the scene CSS). This app builds its trials from
+ *  CONFIG and the condition sets in `createDoorTrial` (src/trials/doorTrial.js).
+ *
+ *  - Renders the scene (background, doors, fire/smoke, drone, HUD).
+ *  - Drives drone entry → scan sweep across all doors → hop to suggested door.
+ *  - Judge–advisor trials insert an initial (pre-advice) door choice after entry.
+ *  - “Delegate to drone” hands this trial (or the rest of the block) to the drone; with
+ *    `auto_play` the trial plays like the demo, then the drone opens the suggested door.
+ *  - Shows a compact→expanded decision HUD (follow vs ignore / pick a door), optionally
+ *    with a rationale and the drone's stated confidence counting up to its value.
+ *  - Maintains an “Environmental Integrity” countdown (visual + rhythm); on expiry
+ *    `timer_action` decides the outcome (follow, ignore, random door, no response, or
+ *    `requeued` for the host to replay).
+ *  - Optional thermal peek, rescan and post-decision confidence rating.
+ *  - Optional pointer trajectories during the decision window (src/trials/doorTrajectory.js).
+ *  - Decision keys follow `response_keys`; game controllers are handled through window
+ *    `gamepad-action` events ({ actions: ['follow' | 'other' | 'delegate' | 'rescan', …] },
+ *    dispatched by src/ui/gamepad.js in this app). The choice's input is logged as `input_modality`.
+ *  - With `pause`, the whole trial (countdown, animations, timers, FX) holds while the tab is
+ *    hidden or fullscreen is lost (src/trials/doorPause.js); interruptions are logged.
+ *  - Opens the chosen door, shows success/failure panel, blackout, then ends.
+ *  - The host supplies the blackout layer (`blackout_show` / `blackout_hide`) and can stop a
+ *    running trial (`host_ended`, e.g. after a withdrawal); the plugin reads no app globals.
+ *  - Announces each phase (entry, scan, hop, decision, door open, …) to `on_phase` and
+ *    `onDoorPhase` subscribers (src/trials/doorPhases.js); onsets are logged as `phase_times`
+ *    and as `t_*_ms` columns, with `decision_rt_ms` timed from the moment the HUD is actionable.
+ *
+ * Usage
+ *  import { DoorTrialPlugin } from './src/trials/doorTrialPlugin.js';
+ *  timeline.push({
+ *    type: DoorTrialPlugin,
+ *    door_count: 2, true_door: 0, suggested_door: 1,
+ *    background_src: '…', door_src: '…', victim_src: '…', empty_src: '…',
+ *    smoke_left_src: '…', smoke_right_src: '…', fire_left_src: '…', fire_right_src: '…',
+ *    decision_timeout_ms: 4000,
+ *    timing: { drone_buffer_ms: 1500 }   // partial; the rest from DEFAULT_TIMING
+ *  });
+ *
+ * Exports
+ *  - DoorTrialPlugin (also as jsPsychDoorTrial): the plugin class.
+ *  - DEFAULT_TIMING, DEFAULT_FX: defaults merged under the `timing` / `fx` parameters.
+ */
+
+import { renderSceneHtml } from '../scene/render.js';
+import { doorLabel, doorDisplayName, normalizeDoorCount } from '../scene/doors.js';
+import { positionSceneOverlays, attachScenePositioning } from '../scene/positioning.js';
+import { createPhaseEmitter } from './doorPhases.js';
+import { createTrajectoryRecorder } from './doorTrajectory.js';
+import { createPauseController } from './doorPause.js';
+
+const { ParameterType } = jsPsychModule;
+
+/** Drone, cone, outcome and blackout timing/motion (ms, px/s, fractions). */
+export const DEFAULT_TIMING = {
+  drone_entry_ms: 2500,              // entry estimate, only used to size the FX period
+  drone_entry_cruise_px_per_s: 460,
+  drone_prebuffer_ms: 1000,          // scan cone “appear” lead-in
+  drone_buffer_ms: 2000,             // scan sweep duration
+  drone_anim_ms: 1050,               // hop-to-door duration (integrity budget)
+  drone_hop_speed_px_per_s: 320,
+  drone_hop_min_ms: 900,
+  drone_hop_duration_scale: 1.10,
+  drone_exit_delay_ms: 350,
+  drone_exit_edge_offset_px: 10,
+  drone_exit_accel_frac: 0.16,
+  drone_exit_accel_speed_px_per_s: 360,
+  drone_exit_cruise_px_per_s: 520,
+  cone_apex_rel_y: 0.22,
+  cone_apex_lift_px: 6,
+  cone_apex_lift_ratio: 0.09,
+  cone_apex_dx: -3,
+  cone_dwell_ms: 220,
+  cone_persp_max_squash: 0.35,
+  cone_persp_max_skew_deg: 6,
+  cone_persp_spread_x: 0.10,
+  cone_persp_kickin: 0.70,
+  confidence_animate_ms: 700,        // confidence meter count-up
+  panel_delay_after_open_ms: 300,
+  panel_hold_ms: 1100,
+  blackout_hold_ms: 1500,            // black screen after the outcome (not after `last`)
+  blackout_fade_ms: 450,
+  delegation_dwell_ms: 900,          // hover before an `auto_play` trial opens the door
+  demo_dwell_ms: 1200,
+  demo_blackout_hold_ms: 3000,
+  demo_blackout_fade_ms: 850
+};
+
+/** Fire/smoke geometry: fractions of the scene (`*_vw`/`*_vh`) win over px when set. */
+export const DEFAULT_FX = {
+  fire_inward_vw: 0.10,
+  smoke_inward_vw: 0.09,
+  smoke_rise_vh: 0.12,
+  fire_base_inset_vw: 0.06,
+  smoke_base_inset_vw: 0.06,
+  smoke_y_offset_vh: 0.10,
+  fire_inward_px: 110,
+  smoke_inward_px: 100,
+  smoke_rise_px: 100,
+  fire_base_inset_px: 80,
+  smoke_base_inset_px: 80,
+  smoke_y_offset_px: 120,
+  smoke_opacity: 0.95
+};
+
+const DEFAULT_PEEK = { accuracy: 0.8, cost_ms: 1000, max_per_trial: 1, cue_ms: 1200 };
+const DEFAULT_RESCAN = { cost_ms: 1000, scan_ms: null, max_per_trial: 1, doors: [] };
+const DEFAULT_PAUSE = {
+  on_hidden: true,
+  on_fullscreen_exit: true,
+  fullscreen_overlay: true,          // false: the host shows its own fullscreen re-entry screen
+  text: 'Paused. The mission continues when you return to this tab.',
+  fullscreen_text: 'Paused. The mission runs in fullscreen.',
+  fullscreen_button: 'Return to fullscreen'
+};
+const DEFAULT_RESPONSE_KEYS = {
+  scheme: 'follow',
+  follow: 'f',
+  other: 'n',
+  doors: [],
+  labels: { follow: 'F', other: 'N', doors: [] },
+  key_map: 'follow:f,other:n'
+};
+
+const info = {
+  name: 'door-trial',
+  version: '1.0.0',
+  parameters: {
+    /** Doors in the scene (2–4). */
+    door_count: { type: ParameterType.INT, default: 2 },
+    /** 0-based door (left → right) hiding the victim. */
+    true_door: { type: ParameterType.INT, default: undefined },
+    /** 0-based door the drone recommends. */
+    suggested_door: { type: ParameterType.INT, default: undefined },
+    /** Trial counter in the HUD (1-based) and its total. */
+    trial_num: { type: ParameterType.INT, default: 1 },
+    trial_total: { type: ParameterType.INT, default: 1 },
+    /** Last trial of a block: no blackout after the outcome (kept when the trial is `requeued`, as a replay follows). */
+    last: { type: ParameterType.BOOL, default: false },
+    /** Non-interactive demonstration: no HUD, no victim, ends after the hop. */
+    demo: { type: ParameterType.BOOL, default: false },
+    /** Delegated trial: the drone opens the suggested door after `delegation_dwell_ms`. */
+    auto_play: { type: ParameterType.BOOL, default: false },
+    /** Replay of a re-queued trial (a second `repeat_trial` timeout ends as no_response). */
+    is_repeat: { type: ParameterType.BOOL, default: false },
+
+    /** Scene images; `victim_src` is shown behind the true door, `empty_src` behind the others. */
+    background_src: { type: ParameterType.IMAGE, default: undefined },
+    door_src: { type: ParameterType.IMAGE, default: undefined },
+    drone_src: { type: ParameterType.IMAGE, default: 'assets/drone.png' },
+    victim_src: { type: ParameterType.IMAGE, default: undefined },
+    empty_src: { type: ParameterType.IMAGE, default: undefined },
+    smoke_left_src: { type: ParameterType.IMAGE, default: undefined },
+    smoke_right_src: { type: ParameterType.IMAGE, default: undefined },
+    fire_left_src: { type: ParameterType.IMAGE, default: undefined },
+    fire_right_src: { type: ParameterType.IMAGE, default: undefined },
+    /** Scene tint: 'cool' | 'warm' | 'hot'. */
+    warmth: { type: ParameterType.STRING, default: 'warm' },
+
+    /** Decision window after the hop (ms); the integrity countdown spans entry → decision. */
+    decision_timeout_ms: { type: ParameterType.INT, default: 4000 },
+    /** Timeout outcome: 'auto_follow' | 'auto_ignore' | 'random_door' | 'no_response' | 'repeat_trial' | 'none'. */
+    timer_action: { type: ParameterType.STRING, default: 'auto_follow' },
+    /** Risk state ({ risk_key, warmth, shake_amp_px, shake_period_ms, risk_value, … }); logged, drives the shake. */
+    risk_overrides: { type: ParameterType.OBJECT, default: null },
+    /** Integrity bar: show the percentage; pulse below this fraction. */
+    env_show_pct: { type: ParameterType.BOOL, default: true },
+    env_pulse_threshold: { type: ParameterType.FLOAT, default: 1.0 },
+    /** Partial overrides of DEFAULT_TIMING / DEFAULT_FX. */
+    timing: { type: ParameterType.OBJECT, default: {} },
+    fx: { type: ParameterType.OBJECT, default: {} },
+    /** Copy on the blackout after the outcome, after a demo, and on delegated trials. */
+    blackout_text: { type: ParameterType.STRING, default: 'Relocating to next search area…' },
+    demo_blackout_text: { type: ParameterType.STRING, default: 'The main task will now begin.' },
+    delegation_banner_text: { type: ParameterType.STRING, default: 'Delegated – the drone is deciding' },
+
+    /** Stated confidence (0–1) shown with the recommendation; null hides the meter. */
+    drone_confidence: { type: ParameterType.FLOAT, default: null },
+    /** Rationale line under the recommendation; null hides it. */
+    explanation_text: { type: ParameterType.HTML_STRING, default: null },
+    /** Two-stage trial: initial choice before the advice. */
+    judge_advisor: { type: ParameterType.BOOL, default: false },
+    /** “Let the drone decide” (this trial / rest of block) in the HUD. */
+    allow_delegate: { type: ParameterType.BOOL, default: false },
+    /** Thermal peek ({ accuracy, cost_ms, max_per_trial, cue_ms }); null disables. */
+    peek: { type: ParameterType.OBJECT, default: null },
+    /** Rescan ({ cost_ms, scan_ms, max_per_trial, doors: door after each rescan }); null disables. */
+    rescan: { type: ParameterType.OBJECT, default: null },
+    /** Post-decision rating: 'likert5' | 'percent' | null, and its prompt. */
+    post_confidence_scale: { type: ParameterType.STRING, default: null },
+    post_confidence_prompt: { type: ParameterType.STRING, default: 'How confident are you in your choice?' },
+    /** Pointer trajectory capture while the HUD is up ({ sample_ms, max_samples }); null disables. */
+    trajectory: { type: ParameterType.OBJECT, default: null },
+    /** Hold the trial while interrupted ({ on_hidden, on_fullscreen_exit, fullscreen_overlay, text, fullscreen_text, fullscreen_button }); null disables. */
+    pause: { type: ParameterType.OBJECT, default: null },
+    /**
+     * Decision keys (lower-case `KeyboardEvent.key`): scheme 'follow' uses `follow`/`other`; scheme
+     * 'door' uses `doors` [left, right] on two-door scenes. `labels` are shown on the buttons,
+     * `key_map` is logged. Scenes with 3+ doors also take the number keys.
+     */
+    response_keys: { type: ParameterType.OBJECT, default: DEFAULT_RESPONSE_KEYS },
+
+    /** Running score shown in the HUD; null disables scoring. */
+    score_total: { type: ParameterType.INT, default: null },
+    /** ({ correct, timed_out, peeks }) → { score_delta, score_total }, called at the decision. */
+    score_trial: { type: ParameterType.FUNCTION, default: null },
+    /** RNG in [0,1) for peek cues and random timeout doors. */
+    rng: { type: ParameterType.FUNCTION, default: null },
+    /** Phase event handler for this trial (see src/trials/doorPhases.js). */
+    on_phase: { type: ParameterType.FUNCTION, default: null },
+    /** Host blackout layer: (text, fadeMs) shows it, (fadeMs) hides it; null: no blackout (the holds still apply). */
+    blackout_show: { type: ParameterType.FUNCTION, default: null },
+    blackout_hide: { type: ParameterType.FUNCTION, default: null },
+    /**
+     * () → true once the host has ended the session (e.g. the participant withdrew). From then on
+     * the trial ignores input and stops without scoring, opening a door, blacking out or finishing.
+     */
+    host_ended: { type: ParameterType.FUNCTION, default: null },
+    /** Host fields added to the `trial` context of every phase event. */
+    context: { type: ParameterType.OBJECT, default: {} }
+  },
+  data: {
+    /** Side label / 0-based index of the opened door (null when none opened). */
+    choice: { type: ParameterType.STRING },
+    chosen_door: { type: ParameterType.INT },
+    /** Seconds from scene start to the end of the outcome. */
+    reaction_time_s: { type: ParameterType.FLOAT },
+    correct: { type: ParameterType.BOOL },
+    suggestion: { type: ParameterType.STRING },
+    suggested_door: { type: ParameterType.INT },
+    true_door: { type: ParameterType.INT },
+    door_count: { type: ParameterType.INT },
+    buffer_ms: { type: ParameterType.INT },
+    drone_anim_ms: { type: ParameterType.INT },
+    timed_out: { type: ParameterType.BOOL },
+    /** The integrity countdown ran out (with timer_action 'none' also when the participant chose later). */
+    timer_expired: { type: ParameterType.BOOL },
+    /** 'manual' | 'timeout' | 'delegated_trial' | 'delegated_block'. */
+    decision_mode: { type: ParameterType.STRING },
+    timeout_action: { type: ParameterType.STRING },
+    is_repeat: { type: ParameterType.BOOL },
+    /** The trial timed out under 'repeat_trial'; the host should replay it. */
+    requeued: { type: ParameterType.BOOL },
+    drone_confidence_pct: { type: ParameterType.INT },
+    judge_advisor: { type: ParameterType.BOOL },
+    initial_choice: { type: ParameterType.STRING },
+    initial_door: { type: ParameterType.INT },
+    initial_rt_s: { type: ParameterType.FLOAT },
+    /** Seconds from the decision HUD to the choice. */
+    final_rt_s: { type: ParameterType.FLOAT },
+    switched: { type: ParameterType.BOOL },
+    woa: { type: ParameterType.INT },
+    peek_accuracy: { type: ParameterType.FLOAT },
+    peek_count: { type: ParameterType.INT },
+    peek_target: { type: ParameterType.STRING },
+    peek_door: { type: ParameterType.INT },
+    peek_result: { type: ParameterType.STRING },
+    peek_cue_correct: { type: ParameterType.BOOL },
+    peek_rt_s: { type: ParameterType.FLOAT },
+    peek_sequence: { type: ParameterType.STRING },
+    peek_cost_ms: { type: ParameterType.INT },
+    rescan_count: { type: ParameterType.INT },
+    rescan_times_ms: { type: ParameterType.STRING },
+    rescan_durations_ms: { type: ParameterType.STRING },
+    final_suggestion: { type: ParameterType.STRING },
+    final_suggested_door: { type: ParameterType.INT },
+    post_confidence: { type: ParameterType.FLOAT },
+    post_confidence_scale: { type: ParameterType.STRING },
+    post_confidence_rt_s: { type: ParameterType.FLOAT },
+    score_delta: { type: ParameterType.INT },
+    score_total: { type: ParameterType.INT },
+    timer_action: { type: ParameterType.STRING },
+    risk_key: { type: ParameterType.STRING },
+    risk_warmth: { type: ParameterType.STRING },
+    risk_fire_inward_px: { type: ParameterType.INT },
+    risk_smoke_inward_px: { type: ParameterType.INT },
+    risk_smoke_rise_px: { type: ParameterType.INT },
+    decision_timeout_ms_used: { type: ParameterType.INT },
+    shake_amp_px: { type: ParameterType.FLOAT },
+    shake_period_ms: { type: ParameterType.INT },
+    risk_value: { type: ParameterType.FLOAT },
+    /** JSON: first onset of each phase and mark, ms since the trial started. */
+    phase_times: { type: ParameterType.STRING },
+    /** Phase timestamps, ms since the trial started (null when the phase did not occur). */
+    t_scene_ms: { type: ParameterType.FLOAT },
+    t_entry_end_ms: { type: ParameterType.FLOAT },
+    t_scan_start_ms: { type: ParameterType.FLOAT },
+    t_scan_end_ms: { type: ParameterType.FLOAT },
+    t_hop_end_ms: { type: ParameterType.FLOAT },
+    t_hud_shown_ms: { type: ParameterType.FLOAT },
+    /** Choice controls fully revealed (or the first input, if earlier). */
+    t_hud_actionable_ms: { type: ParameterType.FLOAT },
+    /** First key or pointer press after the HUD appeared. */
+    t_first_input_ms: { type: ParameterType.FLOAT },
+    t_decision_ms: { type: ParameterType.FLOAT },
+    t_door_open_ms: { type: ParameterType.FLOAT },
+    t_panel_ms: { type: ParameterType.FLOAT },
+    t_blackout_ms: { type: ParameterType.FLOAT },
+    /** Decision time from t_hud_actionable_ms (null without a HUD decision). */
+    decision_rt_ms: { type: ParameterType.FLOAT },
+    /** Pointer trajectory ('t,x,y;…', scene-relative), hover spans, abandoned presses, pointer types. */
+    traj_xy: { type: ParameterType.STRING },
+    traj_hovers: { type: ParameterType.STRING },
+    traj_abandons: { type: ParameterType.STRING },
+    traj_pointer: { type: ParameterType.STRING },
+    traj_samples: { type: ParameterType.INT },
+    traj_truncated: { type: ParameterType.BOOL },
+    /** Interruptions while the trial ran ('reason:start-end;…', ms since the trial started). */
+    pause_count: { type: ParameterType.INT },
+    pause_total_ms: { type: ParameterType.INT },
+    pauses: { type: ParameterType.STRING },
+    /** Key mapping in effect, and the key that made the choice (null: pointer or timeout). */
+    key_scheme: { type: ParameterType.STRING },
+    key_map: { type: ParameterType.STRING },
+    response_key: { type: ParameterType.STRING },
+    /** Input that made the choice: 'keyboard' | 'mouse' | 'touch' | 'pen' | 'gamepad' (null: timeout). */
+    input_modality: { type: ParameterType.STRING }
+  }
+};
+
+/** Defaults overlaid with the given values (null/undefined keep the default). */
+function withDefaults(defaults, given) {
+  const out = { ...defaults };
+  Object.entries(given || {}).forEach(([k, v]) => { if (v !== undefined && v !== null) out[k] = v; });
+  return out;
+}
+
+export class DoorTrialPlugin {
+  static info = info;
+
+  constructor(jsPsych) {
+    this.jsPsych = jsPsych;
+  }
+
+  trial(display_element, trial) {
+    const T    = withDefaults(DEFAULT_TIMING, trial.timing);
+    // Mutable: the start time shifts while FX are held, and every relayout re-reads it.
+    const fx   = withDefaults(DEFAULT_FX, trial.fx);
+    const rand = trial.rng || Math.random;
+    const risk = trial.risk_overrides;
+
+    const doorCount     = normalizeDoorCount(trial.door_count);
+    const trueDoor      = trial.true_door;
+    const suggestedDoor = trial.suggested_door;
+    const isDemo        = trial.demo;
+    const autoPlay      = !isDemo && trial.auto_play;
+    const droneConfidence = (!isDemo && typeof trial.drone_confidence === 'number') ? trial.drone_confidence : null;
+    const scored        = !isDemo && typeof trial.score_total === 'number';
+    const judgeAdvisor  = !isDemo && trial.judge_advisor;
+    const allowDelegate = !isDemo && trial.allow_delegate;
+    const allowPeek     = !isDemo && !!trial.peek;
+    const peek          = withDefaults(DEFAULT_PEEK, trial.peek);
+    const allowRescan   = !isDemo && !!trial.rescan;
+    const rescan        = withDefaults(DEFAULT_RESCAN, trial.rescan);
+    const postConfidenceScale = isDemo ? null : trial.post_confidence_scale;
+    const keys          = withDefaults(DEFAULT_RESPONSE_KEYS, trial.response_keys);
+    // Per-door keys replace follow/other on two-door scenes under the 'door' scheme.
+    const doorKeys      = (keys.scheme === 'door' && doorCount === 2 && keys.doors.length === 2) ? keys.doors : null;
+    // Key hints on the Follow / other-door buttons for a given recommendation.
+    const followKeyLabel = (s) => doorKeys ? keys.labels.doors[s]
+      : (keys.scheme === 'door' && doorCount > 2) ? String(s + 1) : keys.labels.follow;
+    const otherKeyLabel  = (s) => doorKeys ? keys.labels.doors[s === 0 ? 1 : 0] : keys.labels.other;
+
+    // Timeouts (held while paused) and listeners released when the trial ends.
+    const setTO = (fn, ms) => pauser.setTimeout(fn, ms);
+    const onEnd = [];
+    let cleanupResize = null;
+
+    // Interruptions: FX keyframes hold with the rest; their start shifts so relayouts stay in step.
+    let fxHeld = false;
+    const pauser = createPauseController(display_element,
+      trial.pause ? withDefaults(DEFAULT_PAUSE, trial.pause) : null, {
+        onPause: (reasons) => {
+          if (rootEl && !rootEl.classList.contains('fx-paused')) {
+            rootEl.classList.add('fx-paused');
+            fxHeld = true;
+          }
+          phases.emit('pause', { reasons });
+        },
+        onResume: (pausedMs) => {
+          if (fxHeld) {
+            rootEl.classList.remove('fx-paused');
+            if (fx.start_ts) fx.start_ts += pausedMs;
+            fxHeld = false;
+          }
+          phases.emit('resume', { paused_ms: Math.round(pausedMs) });
+        }
+      });
+
+    // Phase times run on the pause clock, like the reaction times.
+    const phases = createPhaseEmitter({
+      ...trial.context,
+      trial_num: trial.trial_num,
+      trial_total: trial.trial_total,
+      door_count: doorCount,
+      true_door: trueDoor,
+      suggested_door: suggestedDoor,
+      demo: isDemo,
+      auto_play: autoPlay
+    }, trial.on_phase, pauser.now);
+
+    // Host hooks: the session can end under a running trial; blackouts only while it runs.
+    const hostEnded    = () => !!trial.host_ended?.();
+    const blackoutShow = (text, fadeMs) => { if (!hostEnded()) trial.blackout_show?.(text, fadeMs); };
+    const blackoutHide = (fadeMs) => { try { trial.blackout_hide?.(fadeMs); } catch (_) {} };
+
+    const endTrial = (data) => {
+      const stopped = hostEnded();
+      if (!stopped) phases.emit('end', { data });
+      onEnd.forEach((fn) => { try { fn(); } catch (_) {} });
+      pauser.clearTimeouts();
+      pauser.detach();
+      try { if (cleanupResize) cleanupResize(); } catch (_) {}
+      if (stopped) return;
+      const at = phases.times();
+      this.jsPsych.finishTrial({
+        ...data,
+        ...pauser.summary(),
+        phase_times: JSON.stringify(at),
+        t_scene_ms: at.scene ?? null,
+        t_entry_end_ms: at.entry_end ?? null,
+        t_scan_start_ms: at.scan ?? null,
+        t_scan_end_ms: at.scan_end ?? null,
+        t_hop_end_ms: at.hop_end ?? null,
+        t_hud_shown_ms: at.decision ?? null,
+        t_hud_actionable_ms: at.hud_actionable ?? null,
+        t_first_input_ms: at.first_input ?? null,
+        t_decision_ms: at.decided ?? null,
+        t_door_open_ms: at.door_open ?? null,
+        t_panel_ms: at.panel ?? null,
+        t_blackout_ms: at.blackout ?? null,
+        decision_rt_ms: (at.hud_actionable !== undefined && at.decided !== undefined)
+          ? Math.round((at.decided - at.hud_actionable) * 10) / 10
+          : null
+      });
+    };
+
+    const html = renderSceneHtml({
+      door_count: doorCount,
+      suggested_door: suggestedDoor,
+      true_door: trueDoor,
+      drone_confidence: droneConfidence,
+      explanation_text: isDemo ? null : trial.explanation_text,
+      trial_num: trial.trial_num,
+      trial_total: trial.trial_total,
+      judge_advisor: judgeAdvisor && !autoPlay,
+      allow_delegate: allowDelegate && !autoPlay,
+      peek_cost_ms: (allowPeek && !autoPlay) ? Math.max(0, peek.cost_ms) : null,
+      rescan_cost_ms: (allowRescan && !autoPlay) ? Math.max(0, rescan.cost_ms) : null,
+      post_confidence_scale: autoPlay ? null : postConfidenceScale,
+      post_confidence_prompt: trial.post_confidence_prompt,
+      score_total: scored ? trial.score_total : null,
+      follow_key_label: followKeyLabel(suggestedDoor),
+      other_key_label: otherKeyLabel(suggestedDoor),
+      background_src: trial.background_src,
+      door_src: trial.door_src,
+      drone_src: trial.drone_src,
+      smoke_left_src: trial.smoke_left_src,
+      smoke_right_src: trial.smoke_right_src,
+      fire_left_src: trial.fire_left_src,
+      fire_right_src: trial.fire_right_src
+    });
+    // Start transparent; fade in once positioned.
+    display_element.innerHTML = html.replace('<div class="scene-root"', '<div class="scene-root" style="opacity:0"');
+
+    document.documentElement.style.overflow = 'hidden';
+    document.body.style.overflow = 'hidden';
+    display_element.style.background = '#000';
+
+    const frame  = display_element;
+    const rootEl = frame.querySelector('.scene-root');
+
+    // Apply scene warmth (risk-color overlay)
+    if (rootEl) {
+      rootEl.classList.remove('warmth-cool', 'warmth-warm', 'warmth-hot');
+      rootEl.classList.add(`warmth-${trial.warmth || 'warm'}`);
+    }
+
+    pauser.attach();
+
+    positionSceneOverlays(frame, fx).then(() => {
+      // Demo / delegated overlay (visual-only, no interaction)
+      if (isDemo || autoPlay) {
+        const overlay = document.createElement('div');
+        overlay.textContent = isDemo
+          ? 'Demonstration – no interaction required'
+          : trial.delegation_banner_text;
+        Object.assign(overlay.style, {
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          color: 'white',
+          fontSize: '32px',
+          fontWeight: '700',
+          textShadow: '0 0 10px rgba(0,0,0,0.8)',
+          background: 'rgba(0,0,0,0.35)',
+          padding: '12px 24px',
+          borderRadius: '12px',
+          pointerEvents: 'none',
+          zIndex: '9999',
+          textAlign: 'center'
+        });
+        frame.appendChild(overlay);
+        setTO(() => {
+          overlay.style.transition = 'opacity 800ms ease';
+          overlay.style.opacity = '0';
+          setTO(() => overlay.remove(), 900);
+        }, 2500);
+      }
+
+      cleanupResize = attachScenePositioning(frame, fx);
+
+      const true_location = doorLabel(trueDoor, doorCount);
+      const revealedEls = Array.from(frame.querySelectorAll('.revealed-image'));
+
+      // Victim visibility is decided at reveal; keep hidden initially.
+      revealedEls.forEach((el) => {
+        const i = Number(el.getAttribute('data-door'));
+        el.src = (!isDemo && i === trueDoor) ? trial.victim_src : trial.empty_src;
+        el.style.visibility = 'hidden';
+      });
+
+      // Fade scene in.
+      requestAnimationFrame(() => {
+        rootEl.style.opacity = '1';
+        phases.emit('scene');
+      });
+
+      // ---------- FX duration anchoring ----------
+      // Choose a duration that safely spans entry, scan, hop, decision, and reveal.
+      const approxVisibleMs =
+        T.drone_entry_ms +
+        T.drone_prebuffer_ms +
+        T.drone_buffer_ms +
+        T.drone_anim_ms +
+        trial.decision_timeout_ms +
+        2000 + // door open + panel hold
+        2500;  // buffer to survive blackout transitions
+
+      // DOM refs commonly used
+      const doorOverlays     = Array.from(frame.querySelectorAll('.overlay.door'));
+      const leftDoorOverlay  = doorOverlays[0];
+      const rightDoorOverlay = doorOverlays[doorOverlays.length - 1];
+      const droneEl          = frame.querySelector('.overlay-drone');
+      const decisionBox      = frame.querySelector('#decision-box');
+      const decisionText     = frame.querySelector('#decision-text');
+      const decisionCopy     = decisionText?.querySelector('.decision-copy') || decisionText;
+      const confFill         = frame.querySelector('#dc-fill');
+      const confPct          = frame.querySelector('#dc-pct');
+      const btnFollow        = frame.querySelector('#btn-follow');
+      const btnIgnore        = frame.querySelector('#btn-ignore');
+      const btnDelegate      = frame.querySelector('#btn-delegate');
+      const btnDelegateBlock = frame.querySelector('#btn-delegate-block');
+      const doorChoiceBtns   = Array.from(frame.querySelectorAll('.door-choice'));
+      const peekBtns         = Array.from(frame.querySelectorAll('.peek-btn'));
+      const btnRescan        = frame.querySelector('#btn-rescan');
+      const suggestion       = doorLabel(suggestedDoor, doorCount);
+      const trialStart       = pauser.now();
+
+      let responded = false;
+      let timerId = null;
+      let timedOut = false;
+      let timerExpired = false;
+      let confRafId = null;
+      let confidenceShownPct = null;
+      let initialDoor = null;
+      let initialRt = null;
+      let initialKeyHandler = null;
+      let hudShownAt = null;
+      let traj = null;
+      let decidedAt = null;
+      let postConfidence = null;
+      let postConfidenceRt = null;
+      let postConfidenceKeyHandler = null;
+      let decisionMode = autoPlay ? 'delegated_block' : 'manual';
+      let pressedKey = null;      // key being handled by decisionKeys
+      let responseKey = null;     // key that made the choice
+      let lastInput = null;       // modality of the latest input while the HUD is up
+      let responseModality = null;
+      const peeks = [];
+      // Recommendation on screen; a rescan may move it away from suggestedDoor.
+      let currentSuggestion = suggestedDoor;
+      let rescanning = false;
+      const rescans = [];
+
+      // Geometry helpers
+      const getLT = (el) => {
+        const cs = getComputedStyle(el);
+        return { left: parseFloat(cs.left) || 0, top: parseFloat(cs.top) || 0 };
+      };
+
+      const moveTo = (el, toLeft, toTop, durationMs, easing = 'linear') =>
+        new Promise((resolve) => {
+          const from = getLT(el);
+          const keyframes = (typeof toTop === 'number')
+            ? [{ left: from.left + 'px', top: from.top + 'px' },
+               { left: toLeft + 'px',    top: toTop  + 'px' }]
+            : [{ left: from.left + 'px' }, { left: toLeft + 'px' }];
+
+          const anim = el.animate(keyframes, {
+            duration: Math.max(0, durationMs),
+            easing,
+            fill: 'forwards',
+            composite: 'replace'
+          });
+
+          const finish = () => {
+            if (typeof toLeft === 'number') el.style.left = toLeft + 'px';
+            if (typeof toTop  === 'number') el.style.top  = toTop  + 'px';
+            resolve();
+          };
+          anim.addEventListener?.('finish', finish, { once: true });
+          anim.finished?.then(finish).catch(finish);
+        });
+
+      const moveTransformTo = (el, toX, toY, durationMs, easing = 'cubic-bezier(.3,.3,.9,1)') => {
+        const fromX = parseFloat(el.style.getPropertyValue('--tx')) || 0;
+        const fromY = parseFloat(el.style.getPropertyValue('--ty')) || 0;
+        const wasPaused = el.classList.contains('paused');
+        el.classList.add('paused');
+        const anim = el.animate(
+          [
+            { transform: `translate(${fromX}px, ${fromY}px) translateY(0px)` },
+            { transform: `translate(${toX}px, ${toY}px) translateY(0px)` }
+          ],
+          { duration: Math.max(0, durationMs), easing, fill: 'forwards' }
+        );
+        return anim.finished.catch(() => {}).then(() => {
+          el.style.setProperty('--tx', `${toX}px`);
+          el.style.setProperty('--ty', `${toY}px`);
+          anim.cancel();
+          if (!wasPaused) el.classList.remove('paused');
+        });
+      };
+
+      const wait = (ms) => new Promise(r => setTO(r, ms));
+
+      // Door baseline + mid helpers
+      const doorBottom = (ov) => {
+        const t = parseFloat(ov.style.top)   || 0;
+        const h = parseFloat(ov.style.height)|| 0;
+        return t + h;
+      };
+      const doorMidX = (leftOv, rightOv) => {
+        const l  = parseFloat(leftOv.style.left)  || 0;
+        const lw = parseFloat(leftOv.style.width) || 0;
+        const r  = parseFloat(rightOv.style.left) || 0;
+        const rw = parseFloat(rightOv.style.width)|| 0;
+        return (l + lw / 2 + r + rw / 2) / 2;
+      };
+      // Any door other than the suggested one (used when “ignore” has a single meaning).
+      const otherDoor = () => (currentSuggestion === 0 ? doorCount - 1 : 0);
+
+      // Integrity countdown wiring
+      let rafId = null;
+      let t0 = null;
+      let totalMs = null;
+      // Timeout outcome: applied once the HUD is up (deferred while an earlier phase runs).
+      let timeoutPending = false;
+      let timeoutAction = null;
+      let onDecisionTimeout = null;
+      const envFill = frame.querySelector('#env-fill');
+      const envPct  = frame.querySelector('#env-pct');
+
+      const BAR_BLUE  = '#103a75';
+      const BAR_RED   = '#d30000';
+      const BAR_WHITE = '#ffffff';
+
+      const hexToRgb = (hex) => {
+        const h = hex.replace('#', '');
+        const v = h.length === 3 ? h.split('').map(x => x + x).join('') : h;
+        return { r: parseInt(v.slice(0, 2), 16), g: parseInt(v.slice(2, 4), 16), b: parseInt(v.slice(4, 6), 16) };
+      };
+      const mixRgb = (a, b, t) => ({
+        r: Math.round(a.r + (b.r - a.r) * t),
+        g: Math.round(a.g + (b.g - a.g) * t),
+        b: Math.round(a.b + (b.b - a.b) * t)
+      });
+      const rgbToCss  = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
+      const withAlpha = (rgbCss, alpha) => {
+        const m = rgbCss.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)\)/);
+        if (!m) return rgbCss;
+        const [, r, g, b] = m;
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+      };
+      const speedUpAroundMid = (f, s = 4.0) => {
+        const x = 2 * f - 1;
+        const y = Math.tanh(s * x) / Math.tanh(s);
+        return 0.5 * (y + 1);
+      };
+      const colorFor = (frac) => {
+        const f = 1 - frac;
+        const u = speedUpAroundMid(f, 2.0);
+        if (u <= 0.5) {
+          const t = u / 0.5;
+          return rgbToCss(mixRgb(hexToRgb(BAR_BLUE), hexToRgb(BAR_WHITE), t));
+        }
+        const t = (u - 0.5) / 0.5;
+        return rgbToCss(mixRgb(hexToRgb(BAR_WHITE), hexToRgb(BAR_RED), t));
+      };
+
+      const updatePct = (frac) => {
+        if (!trial.env_show_pct || !envPct) return;
+        envPct.textContent = Math.round(frac * 100) + '%';
+      };
+
+      function renderIntegrity(msLeft) {
+        const frac = Math.max(0, Math.min(1, msLeft / totalMs));
+        const barColor = colorFor(frac);
+
+        if (decisionBox) {
+          decisionBox.style.setProperty('--glow-color',        withAlpha(barColor, 0.25));
+          decisionBox.style.setProperty('--glow-strong-color', withAlpha(barColor, 0.45));
+        }
+        if (envFill) {
+          envFill.style.transform = `scaleX(${frac})`;
+          envFill.style.background = barColor;
+        }
+        updatePct(frac);
+
+        const TH = trial.env_pulse_threshold;
+        const inRed = frac <= TH;
+
+        const periodMs = Math.round(1100 - 400 * (1 - frac));
+        if (decisionBox) decisionBox.style.setProperty('--hb-period', periodMs + 'ms');
+        if (rootEl)      rootEl.style.setProperty('--hb-period', periodMs + 'ms');
+
+        if (envFill) {
+          envFill.classList.toggle('pulse', inRed);
+        }
+        if (decisionBox) {
+          decisionBox.classList.toggle('heartbeat', inRed);
+        }
+        if (rootEl) {
+          rootEl.classList.toggle('warmth-flicker', inRed);
+        }
+      }
+
+      function stopIntegrity() {
+        if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
+        if (envFill) envFill.classList.remove('pulse');
+        if (decisionBox) {
+          decisionBox.classList.remove('heartbeat');
+          decisionBox.style.removeProperty('--hb-period');
+        }
+        if (rootEl) {
+          rootEl.classList.remove('warmth-flicker');
+          rootEl.style.removeProperty('--hb-period');
+        }
+      }
+
+      /**
+       * Count the confidence meter up from 0% to the stated value.
+       * The logged value is the final percentage, fixed when the count starts.
+       */
+      function animateConfidence() {
+        if (droneConfidence === null || !confFill || !confPct) return;
+        const target = Math.round(droneConfidence * 100);
+        const dur = Math.max(0, T.confidence_animate_ms);
+        confidenceShownPct = target;
+
+        const c0 = pauser.now();
+        const step = () => {
+          const f = dur > 0 ? Math.min(1, (pauser.now() - c0) / dur) : 1;
+          const eased = 1 - Math.pow(1 - f, 3);
+          const pct = Math.round(target * eased);
+          confFill.style.transform = `scaleX(${pct / 100})`;
+          confPct.textContent = pct + '%';
+          confRafId = (f < 1) ? requestAnimationFrame(step) : null;
+        };
+        confRafId = requestAnimationFrame(step);
+      }
+
+      /** Update the score HUD with the trial's points (brief +/- flash). */
+      function showScoreDelta({ score_delta, score_total }) {
+        const totalEl = frame.querySelector('#sc-total');
+        const deltaEl = frame.querySelector('#sc-delta');
+        if (totalEl) totalEl.textContent = String(score_total);
+        if (deltaEl) {
+          deltaEl.textContent = (score_delta >= 0 ? '+' : '−') + Math.abs(score_delta);
+          deltaEl.classList.remove('is-gain', 'is-loss', 'show');
+          deltaEl.getBoundingClientRect();
+          deltaEl.classList.add(score_delta >= 0 ? 'is-gain' : 'is-loss', 'show');
+        }
+      }
+
+      // Phase durations
+      const preMs  = T.drone_prebuffer_ms;
+      const scanMs = T.drone_buffer_ms;
+      const hopMs  = T.drone_anim_ms;
+      const decide = isDemo ? 0 : trial.decision_timeout_ms;
+
+      // HUD placement on door baseline + risk-driven shake
+      if (!isDemo && !autoPlay && decisionBox && doorOverlays.length) {
+        decisionBox.classList.add('compact');
+        decisionBox.classList.add('hud-show');
+        decisionBox.style.opacity = '0';
+
+        try {
+          const sf = frame.querySelector('.scene-frame');
+          if (sf && risk) {
+            const amp = risk.shake_amp_px ?? 0;
+            const period = risk.shake_period_ms ?? 900;
+            if (amp > 0) {
+              sf.classList.add('risk-shake');
+              sf.style.setProperty('--shake-amp', amp + 'px');
+              sf.style.setProperty('--shake-period', period + 'ms');
+            } else {
+              sf.classList.remove('risk-shake');
+              sf.style.removeProperty('--shake-amp');
+              sf.style.removeProperty('--shake-period');
+            }
+          }
+        } catch (_) {}
+
+        const frameRect = frame.querySelector('.scene-frame').getBoundingClientRect();
+        const baseY = Math.round(Math.max(...doorOverlays.map(doorBottom)));
+        requestAnimationFrame(() => {
+          const bottomOffset = Math.max(0, frameRect.height - baseY);
+          decisionBox.style.left = '50%';
+          decisionBox.style.bottom = bottomOffset + 'px';
+          decisionBox.style.top = '';
+          requestAnimationFrame(() => { decisionBox.style.opacity = '1'; });
+        });
+      }
+
+      // Timed on the pause clock, so an interruption does not use up the countdown.
+      function startIntegrityCountdown() {
+        t0 = pauser.now();
+        const loop = () => {
+          const elapsed = pauser.now() - t0;
+          const left = Math.max(0, totalMs - elapsed);
+          renderIntegrity(left);
+          if (left <= 0) {
+            timedOut = true;
+            timerExpired = true;
+            if (onDecisionTimeout && !rescanning) {
+              onDecisionTimeout();
+            } else {
+              timeoutPending = true;
+            }
+            return;
+          }
+          rafId = requestAnimationFrame(loop);
+        };
+        rafId = requestAnimationFrame(loop);
+      }
+
+      // Door center helpers for scan/hop phases
+      const doorCenterX = (ov) => {
+        const L = parseFloat(ov.style.left)  || 0;
+        const W = parseFloat(ov.style.width) || 0;
+        return L + W / 2;
+      };
+      const doorTop = (ov) => parseFloat(ov.style.top) || 0;
+
+      /**
+       * Cone sweep: appear → dwell on each door (left → right) → down → fade.
+       * Apex continuously follows the drone during the sweep.
+       */
+      function runConeScan({ frame, droneEl, doorOverlays, bufferMs, preMs = T.drone_prebuffer_ms, onSweep = null }) {
+        return new Promise((resolve) => {
+          if (!frame || !droneEl || !doorOverlays || doorOverlays.length < 2) { resolve(); return; }
+
+          const scene = frame.querySelector('.scene-frame');
+
+          const centerFor = (ov) => {
+            const L = parseFloat(ov.style.left)  || 0;
+            const T = parseFloat(ov.style.top)   || 0;
+            const W = parseFloat(ov.style.width) || 0;
+            const H = parseFloat(ov.style.height)|| 0;
+            return { x: L + W / 2, y: T + H * 0.25 };
+          };
+          const centers = doorOverlays.map(centerFor);
+          const cL = centers[0];
+          const cR = centers[centers.length - 1];
+
+          const toDeg = (rad) => rad * 180 / Math.PI;
+          const angleFromApexTo = (apex, pt) => {
+            const ddx = pt.x - apex.x;
+            const ddy = pt.y - apex.y;
+            return toDeg(Math.atan2(ddx, ddy));
+          };
+          const unwrapAround = (base, ang) => {
+            let a = ang;
+            while (a - base > 180)  a -= 360;
+            while (a - base < -180) a += 360;
+            return a;
+          };
+          const rot = (deg) => `translate(-50%, 0) rotate(${deg}deg)`;
+
+          const old = scene.querySelector('.scan-cone');
+          if (old) old.remove();
+
+          const cone = document.createElement('div');
+          cone.className = 'scan-cone';
+
+          // Size to comfortably span the doors
+          const spanX = Math.abs(cR.x - cL.x);
+          const reach = Math.max(220, Math.min(spanX * 0.9, scene.getBoundingClientRect().width * 0.9));
+          const baseW = Math.max(200, Math.min(spanX * 0.75, 520));
+          cone.style.width  = baseW + 'px';
+          cone.style.height = reach + 'px';
+          cone.style.opacity = '0';
+
+          const grid = document.createElement('div');
+          grid.className = 'grid';
+          cone.appendChild(grid);
+          scene.appendChild(cone);
+
+          // Compute the cone apex under the drone (follows while scanning)
+          const apexRelY  = T.cone_apex_rel_y;
+          const apexLift0 = T.cone_apex_lift_px;
+          const apexLiftK = T.cone_apex_lift_ratio;
+          const apexDx    = T.cone_apex_dx;
+
+          const currentApex = () => {
+            const sceneRect = scene.getBoundingClientRect();
+            const drRect    = droneEl.getBoundingClientRect();
+            const centerX   = (drRect.left + drRect.width / 2) - sceneRect.left;
+            const droneH    = drRect.height || parseFloat(droneEl.style.height) || 80;
+            const baseY     = (drRect.top - sceneRect.top) + droneH * apexRelY;
+            const lift      = Math.max(apexLift0, Math.round(droneH * apexLiftK));
+            return { x: Math.round(centerX) + apexDx, y: Math.max(0, Math.round(baseY - lift)) };
+          };
+
+          // Initial angles
+          const ap0 = currentApex();
+          cone.style.left = ap0.x + 'px';
+          cone.style.top  = ap0.y + 'px';
+          const a0 = 0;
+          const doorAngles = centers
+            .map(c => unwrapAround(a0, angleFromApexTo(ap0, c)))
+            .sort((a, b) => a - b);
+          const leftA  = doorAngles[0];
+          const rightA = doorAngles[doorAngles.length - 1];
+
+          const neutral = (ang) => `${rot(ang)} skewX(0deg) scale(1, 1)`;
+          const oblique = (ang) => {
+            const maxD  = Math.max(Math.abs(leftA - a0), Math.abs(rightA - a0), 1e-3);
+            const t     = Math.min(1, Math.abs(ang - a0) / maxD);
+            const squash= 1 - t * T.cone_persp_max_squash;
+            const skew  = t * T.cone_persp_max_skew_deg * (ang < a0 ? -1 : 1);
+            const spread= 1 + t * T.cone_persp_spread_x;
+            return `${rot(ang)} skewX(${skew}deg) scale(${spread}, ${squash})`;
+          };
+
+          const readonlyTransformNow = () => {
+            const m = getComputedStyle(cone).transform;
+            return (m && m !== 'none') ? m : 'matrix(1, 0, 0, 1, 0, 0)';
+          };
+
+          // Keep apex following the drone until we resolve
+          let following = true;
+          const syncApex = () => {
+            if (!following) return;
+            const ap = currentApex();
+            if (cone.style.left !== (ap.x + 'px')) cone.style.left = ap.x + 'px';
+            if (cone.style.top  !== (ap.y + 'px')) cone.style.top  = ap.y + 'px';
+            requestAnimationFrame(syncApex);
+          };
+          requestAnimationFrame(syncApex);
+
+          cone.style.transform = neutral(a0);
+          cone.getBoundingClientRect();
+
+          // Appear
+          const appearDur = Math.max(120, preMs);
+          const appear = cone.animate(
+            [{ opacity: 0, transform: neutral(a0) + ' scaleY(0.6)' },
+             { opacity: 1, transform: neutral(a0) }],
+            { duration: appearDur, easing: 'cubic-bezier(.25,.9,.2,1)', fill: 'forwards' }
+          );
+
+          appear.finished.catch(() => {}).then(async () => {
+            onSweep?.();
+            // Path: down → each door angle in order → down.
+            const path = [a0, ...doorAngles, a0];
+            const legs = path.slice(1).map((ang, i) => Math.abs(ang - path[i]));
+            const D    = Math.max(1e-3, legs.reduce((a, b) => a + b, 0));
+
+            const HOLD       = Math.max(0, T.cone_dwell_ms);
+            const baseBudget = Math.max(300, bufferMs);
+            const moveBudget = Math.max(150, baseBudget - doorAngles.length * HOLD);
+
+            const K = Math.min(0.98, Math.max(0.50, T.cone_persp_kickin));
+
+            const dwell = async (ang, DUR) => {
+              const gridPx = 10;
+              const a1 = cone.animate(
+                [{ transform: oblique(ang) }, { transform: oblique(ang) }],
+                { duration: Math.max(80, DUR), easing: 'linear', fill: 'forwards' }
+              );
+              const a2 = grid?.animate?.(
+                [{ backgroundPosition: '0 0' }, { backgroundPosition: `0 -${gridPx}px` }],
+                { duration: Math.max(80, DUR), easing: 'linear', fill: 'forwards' }
+              );
+              await a1.finished.catch(() => {});
+              await a2?.finished?.catch(() => {});
+              cone.style.transform = oblique(ang);
+            };
+
+            for (let i = 1; i < path.length; i++) {
+              const from = path[i - 1];
+              const to   = path[i];
+              const isReturn = (i === path.length - 1);
+
+              await cone.animate(
+                [
+                  { transform: readonlyTransformNow(), offset: 0 },
+                  { transform: neutral(from + (to - from) * K), offset: K },
+                  { transform: oblique(to), offset: 1 }
+                ],
+                { duration: Math.max(60, moveBudget * (legs[i - 1] / D)), easing: 'linear', fill: 'forwards' }
+              ).finished.catch(() => {});
+
+              if (!isReturn) await dwell(to, HOLD);
+            }
+
+            following = false;
+            await cone.animate([{ opacity: 1 }, { opacity: 0 }], { duration: 150, fill: 'forwards' })
+                      .finished.catch(() => {});
+            cone.remove();
+            resolve();
+          });
+        });
+      }
+
+      // Participant choices are rated first (when the block asks for it); forced outcomes are not.
+      const choose = (door) => {
+        if (responded || hostEnded()) return;
+        responded = true;
+        decidedAt = pauser.now();
+        phases.mark('decided');
+        traj?.stop();
+
+        const rate = postConfidenceScale && door !== null
+          && (decisionMode === 'manual' || decisionMode === 'delegated_trial');
+        if (rate) collectPostConfidence().then(() => openDoor(door));
+        else openDoor(door);
+      };
+
+      /**
+       * Inline confidence rating over the scene (likert5: buttons / keys 1–5;
+       * percent: slider, ←/→ ±10, Enter). Resolves once a value is given.
+       */
+      function collectPostConfidence() {
+        return new Promise((resolve) => {
+          const panel = frame.querySelector('#post-confidence');
+          if (!panel) { resolve(); return; }
+
+          const range   = panel.querySelector('#pc-range');
+          const valEl   = panel.querySelector('#pc-val');
+          const shownAt = pauser.now();
+
+          panel.style.bottom = decisionBox?.style.bottom || '';
+          panel.classList.add('show');
+          phases.emit('post_confidence');
+
+          const commit = (value) => {
+            if (postConfidence !== null) return;
+            postConfidence   = value;
+            postConfidenceRt = (pauser.now() - shownAt) / 1000;
+            window.removeEventListener('keydown', postConfidenceKeyHandler);
+            panel.classList.remove('show');
+            resolve();
+          };
+
+          if (range) {
+            range.oninput = () => { valEl.textContent = `${range.value}%`; };
+            panel.querySelector('#pc-submit').onclick = () => commit(Number(range.value));
+          }
+          panel.querySelectorAll('.pc-option').forEach((b) => {
+            b.onclick = () => commit(Number(b.dataset.value));
+          });
+
+          postConfidenceKeyHandler = (e) => {
+            if (range) {
+              if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                const step = (e.key === 'ArrowLeft') ? -10 : 10;
+                range.value = String(Math.max(0, Math.min(100, Number(range.value) + step)));
+                range.oninput();
+              }
+              if (e.key === 'Enter') commit(Number(range.value));
+            } else if (/^[1-5]$/.test(e.key)) {
+              commit(Number(e.key));
+            }
+          };
+          window.addEventListener('keydown', postConfidenceKeyHandler, { passive: true });
+        });
+      }
+
+      const openDoor = (door) => {
+        if (hostEnded()) return;
+        try { if (cleanupResize) cleanupResize(); } catch (_) {}
+
+        // door === null: time expired with no door opened (no_response / repeat_trial).
+        const noDoor        = (door === null);
+        const side          = noDoor ? null : doorLabel(door, doorCount);
+        const chosenOverlay = doorOverlays[door];
+        const chosenDoorImg = chosenOverlay?.querySelector('.door-image');
+        const revealed      = revealedEls.find(el => Number(el.getAttribute('data-door')) === door);
+        if (revealed) revealed.style.visibility = 'visible';
+
+        const finalRt = (hudShownAt !== null) ? (decidedAt - hudShownAt) / 1000 : null;
+
+        // Door open (CSS transition)
+        chosenDoorImg?.getBoundingClientRect();
+        chosenDoorImg?.classList.add('door-open');
+        phases.emit('door_open', { door: noDoor ? null : door, correct: noDoor ? null : (door === trueDoor) });
+
+        const msFromTimeList = (str) => {
+          if (!str) return 0;
+          return str.split(',').map(s => s.trim())
+            .map(v => v.endsWith('ms') ? parseFloat(v) : parseFloat(v) * 1000)
+            .reduce((a, b) => Math.max(a, b), 0);
+        };
+        const styles  = chosenDoorImg ? getComputedStyle(chosenDoorImg) : null;
+        const durMs   = styles ? msFromTimeList(styles.transitionDuration) : 0;
+        const delayMs = styles ? msFromTimeList(styles.transitionDelay) : 0;
+        const doorOpenTotalMs = durMs + delayMs;
+
+        // Score is settled at the decision; the HUD updates with the outcome panel.
+        const ok      = noDoor ? null : (door === trueDoor);
+        const score   = scored ? (trial.score_trial?.({ correct: ok, timed_out: timedOut === true, peeks: peeks.length }) ?? null) : null;
+
+        // Outcome panel
+        const mp      = frame.querySelector('#mission-panel');
+        const mpBadge = frame.querySelector('#mp-badge');
+        const mpTitle = frame.querySelector('#mp-title');
+        if (mp) {
+          mp.classList.remove('is-success', 'is-fail', 'is-timeout', 'show');
+          if (noDoor) {
+            mp.classList.add('is-timeout');
+            mpBadge.textContent = 'TIME EXPIRED';
+            mpTitle.textContent = 'No Door Opened';
+          } else {
+            mp.classList.add(ok ? 'is-success' : 'is-fail');
+            mpBadge.textContent = ok ? 'SUCCESS' : 'FAILURE';
+            mpTitle.textContent = ok ? 'Victim Found' : 'No Victim Found';
+          }
+        }
+
+        // Drone exits to the right while the outcome banner is shown.
+        const exitDroneRight = () => {
+          if (!droneEl) return Promise.resolve();
+          return new Promise(async (resolve) => {
+            const delay     = T.drone_exit_delay_ms;
+            if (delay > 0) await wait(delay);
+
+            const scene     = frame.querySelector('.scene-frame');
+            const rect      = scene.getBoundingClientRect();
+            const cur       = getLT(droneEl);
+
+            const edgeOffset = T.drone_exit_edge_offset_px;
+            const targetLeft = Math.round(rect.width + edgeOffset);
+
+            const totalDx = targetLeft - cur.left;
+            if (totalDx <= 0) { resolve(); return; }
+
+            const accelFrac = T.drone_exit_accel_frac;
+            const accelDx   = Math.max(24, Math.round(totalDx * accelFrac));
+            const x1        = cur.left + accelDx;
+
+            const vAccel = T.drone_exit_accel_speed_px_per_s;
+            const vCruise= T.drone_exit_cruise_px_per_s;
+
+            const tIn  = Math.max(220, Math.round(1000 * accelDx / vAccel));
+            const tLin = Math.max(320, Math.round(1000 * (totalDx - accelDx) / vCruise));
+
+            droneEl.classList.add('paused');                 // pause hover during exit
+            await moveTo(droneEl, x1, undefined, tIn,  'cubic-bezier(.4,0,1,1)');
+            await moveTo(droneEl, targetLeft, undefined, tLin, 'linear');
+
+            resolve();
+          });
+        };
+
+        // After door opens + panel shown + blackout → finish trial.
+        const panelDelay = T.panel_delay_after_open_ms;
+        const panelHold  = T.panel_hold_ms;
+        // A re-queued trial is replayed next, so it keeps its blackout even as the block's last.
+        const isLast   = trial.last && timeoutAction !== 'repeat_trial';
+        const postHold = isLast ? 0 : T.blackout_hold_ms;
+
+        const afterOpen = () => {
+          if (!isLast) {
+            blackoutShow(trial.blackout_text, T.blackout_fade_ms);
+            phases.emit('blackout');
+          } else {
+            blackoutHide(T.blackout_fade_ms);
+          }
+
+          setTO(() => {
+            const rt2 = (pauser.now() - trialStart) / 1000;
+            const correct = noDoor ? null : (door === trueDoor);
+
+            try { decisionBox.style.display = 'none'; } catch (_) {}
+
+            endTrial({
+              choice: side,
+              chosen_door: door,
+              reaction_time_s: rt2,
+              correct,
+              suggestion,
+              suggested_door: suggestedDoor,
+              true_door: trueDoor,
+              door_count: doorCount,
+              buffer_ms: T.drone_buffer_ms,
+              drone_anim_ms: T.drone_anim_ms,
+              timed_out: timedOut === true,
+              timer_expired: timerExpired,
+              decision_mode: decisionMode,
+              timeout_action: timeoutAction,
+              is_repeat: trial.is_repeat,
+              requeued: timeoutAction === 'repeat_trial',
+              drone_confidence_pct: confidenceShownPct,
+              judge_advisor: judgeAdvisor,
+              initial_choice: (initialDoor !== null) ? doorLabel(initialDoor, doorCount) : null,
+              initial_door: initialDoor,
+              initial_rt_s: initialRt,
+              final_rt_s: finalRt,
+              switched: (judgeAdvisor && !noDoor) ? (door !== initialDoor) : null,
+              woa: (judgeAdvisor && !noDoor && initialDoor !== currentSuggestion) ? (door === currentSuggestion ? 1 : 0) : null,
+              peek_accuracy: allowPeek ? peek.accuracy : null,
+              peek_count: allowPeek ? peeks.length : null,
+              peek_target: peeks.length ? doorLabel(peeks[0].door, doorCount) : null,
+              peek_door: peeks.length ? peeks[0].door : null,
+              peek_result: peeks.length ? peeks[0].result : null,
+              peek_cue_correct: peeks.length ? peeks[0].cue_correct : null,
+              peek_rt_s: peeks.length ? peeks[0].rt_s : null,
+              peek_sequence: peeks.length ? peeks.map(p => `${doorLabel(p.door, doorCount)}:${p.result}`).join(';') : null,
+              peek_cost_ms: allowPeek ? peeks.reduce((a, p) => a + p.cost_ms, 0) : null,
+              rescan_count: allowRescan ? rescans.length : null,
+              rescan_times_ms: rescans.length ? rescans.map(r => r.at_ms).join(';') : null,
+              rescan_durations_ms: rescans.length ? rescans.map(r => r.duration_ms).join(';') : null,
+              final_suggestion: doorLabel(currentSuggestion, doorCount),
+              final_suggested_door: currentSuggestion,
+              post_confidence: postConfidence,
+              post_confidence_scale: (postConfidence !== null) ? postConfidenceScale : null,
+              post_confidence_rt_s: postConfidenceRt,
+              score_delta: score ? score.score_delta : null,
+              score_total: score ? score.score_total : null,
+              timer_action: trial.timer_action,
+              risk_key: risk?.risk_key ?? null,
+              risk_warmth: risk?.warmth ?? null,
+              risk_fire_inward_px: risk?.fire_inward_px ?? null,
+              risk_smoke_inward_px: risk?.smoke_inward_px ?? null,
+              risk_smoke_rise_px: risk?.smoke_rise_px ?? null,
+              decision_timeout_ms_used: trial.decision_timeout_ms,
+              shake_amp_px: risk?.shake_amp_px ?? 0,
+              shake_period_ms: risk?.shake_period_ms ?? null,
+              risk_value: risk?.risk_value ?? null,
+              key_scheme: keys.scheme,
+              key_map: keys.key_map,
+              response_key: responseKey,
+              input_modality: responseModality,
+              ...(traj ? traj.summary() : {})
+            });
+          }, postHold);
+        };
+
+        const totalWait = (doorOpenTotalMs > 0 ? doorOpenTotalMs + 40 : 650);
+        const exitP = exitDroneRight();
+
+        setTO(() => {
+          // Hide HUD as outcome starts.
+          if (decisionBox) {
+            decisionBox.classList.add('hud-closing');
+            decisionBox.style.pointerEvents = 'none';
+            setTO(() => { decisionBox.style.display = 'none'; }, 250);
+          }
+
+          setTO(() => {
+            if (frame.querySelector('#mission-panel')) {
+              frame.querySelector('#mission-panel').classList.add('show');
+            }
+            phases.emit('panel');
+            if (score) showScoreDelta(score);
+            Promise.all([exitP, wait(panelHold)]).then(afterOpen);
+          }, panelDelay);
+        }, totalWait);
+      };
+
+      // ---------- Drone entry: constant speed → soft stop ----------
+      const scene      = frame.querySelector('.scene-frame');
+      const sceneRect  = scene.getBoundingClientRect();
+      const mid        = doorMidX(leftDoorOverlay, rightDoorOverlay);
+
+      const droneRect0 = droneEl.getBoundingClientRect();
+      const droneW     = droneRect0.width  || parseFloat(droneEl.style.width)  || 120;
+      const droneH     = droneRect0.height || parseFloat(droneEl.style.height) || 100;
+
+      const centerLeft = Math.round(mid - droneW / 2);
+      const centerTop  = Math.round((sceneRect.height - droneH) / 2);
+
+      const startLeft = (-droneW - 30);
+      const endLeft   = centerLeft;
+      const totalDx   = endLeft - startLeft;
+      const vCruise   = T.drone_entry_cruise_px_per_s;
+      const tMs       = Math.max(280, Math.round(1000 * totalDx / Math.max(1, vCruise)));
+
+      // Integrity timer spans entry + pre + scan + hop + decision.
+      // Judge–advisor trials start the countdown after the (untimed) initial choice.
+      // Delegated trials have no decision window, so no countdown runs at all.
+      const initialStage = judgeAdvisor && !autoPlay;
+      totalMs = (initialStage ? 0 : tMs) + preMs + scanMs + hopMs + decide;
+
+      // Allow foreground FX to overrun a little if needed (read by every relayout).
+      fx.duration_ms = Math.max(totalMs, approxVisibleMs);
+      fx.start_ts    = performance.now();
+
+      blackoutHide(T.blackout_fade_ms);
+      if (!initialStage && !autoPlay) startIntegrityCountdown();
+
+      // Prepare drone start; hover is attached but paused.
+      droneEl.style.transition = 'none';
+      droneEl.classList.add('hovering', 'paused');
+      droneEl.style.top  = centerTop + 'px';
+      droneEl.style.left = startLeft + 'px';
+
+      const easeStop = 'cubic-bezier(.3,.3,.9,1)';
+
+      phases.emit('entry');
+      const entryAnim = droneEl.animate(
+        [
+          { left: startLeft + 'px', top: centerTop + 'px' },
+          { left: endLeft   + 'px', top: centerTop + 'px' }
+        ],
+        { duration: tMs, easing: easeStop, fill: 'forwards' }
+      );
+
+      entryAnim.finished.catch(() => {}).then(() => {
+        phases.mark('entry_end');
+        droneEl.style.left = endLeft + 'px';
+        droneEl.style.top  = centerTop + 'px';
+        droneEl.style.setProperty('--tx', '0px');
+        droneEl.style.setProperty('--ty', '0px');
+        droneEl.classList.remove('paused');
+        droneEl.classList.add('hovering');
+        if (initialStage) runInitialChoice().then(startScanAfterEntry);
+        else startScanAfterEntry();
+      });
+
+      /**
+       * Judge–advisor stage 1: the participant commits a door before any advice.
+       * FX and the integrity countdown are held until the commitment.
+       */
+      function runInitialChoice() {
+        return new Promise((resolve) => {
+          const panel = frame.querySelector('#initial-choice');
+          if (!panel) { startIntegrityCountdown(); resolve(); return; }
+
+          const btns    = Array.from(panel.querySelectorAll('.initial-door'));
+          const shownAt = pauser.now();
+          const fxStopAt = performance.now();
+
+          rootEl.classList.add('fx-paused');
+          if (decisionBox) decisionBox.style.visibility = 'hidden';
+          panel.style.bottom = decisionBox?.style.bottom || '';
+          panel.classList.add('show');
+          phases.emit('initial_choice');
+
+          const commit = (door) => {
+            if (initialDoor !== null || responded) return;
+            initialDoor = door;
+            initialRt   = (pauser.now() - shownAt) / 1000;
+
+            window.removeEventListener('keydown', initialKeyHandler);
+            btns.forEach((b) => {
+              b.onclick = null;
+              b.classList.toggle('is-picked', Number(b.dataset.door) === door);
+            });
+
+            // Resume FX where they stopped; keep resize re-sync aligned.
+            rootEl.classList.remove('fx-paused');
+            fx.start_ts += performance.now() - fxStopAt;
+
+            setTO(() => {
+              panel.classList.remove('show');
+              if (decisionBox) decisionBox.style.visibility = '';
+              startIntegrityCountdown();
+              resolve();
+            }, 350);
+          };
+
+          initialKeyHandler = (e) => {
+            if (/^[1-9]$/.test(e.key) && Number(e.key) <= doorCount) commit(Number(e.key) - 1);
+          };
+          window.addEventListener('keydown', initialKeyHandler, { passive: true });
+          btns.forEach((b) => { b.onclick = () => commit(Number(b.dataset.door)); });
+        });
+      }
+
+      const scanBufferMs = T.drone_buffer_ms;
+
+      function startScanAfterEntry() {
+        const buffer = scanBufferMs;
+        phases.emit('prebuffer');
+        runConeScan({
+          frame,
+          droneEl,
+          doorOverlays,
+          bufferMs: buffer,
+          preMs: T.drone_prebuffer_ms,
+          onSweep: () => phases.emit('scan')
+        }).then(() => {
+          phases.mark('scan_end');
+          moveDroneToSuggestedDoor();
+        });
+      }
+
+      /** Hop the drone above a door (hover continues); resolves when it arrives. */
+      function hopToDoor(door) {
+        const target = doorOverlays[door];
+        if (!target || !droneEl) return Promise.resolve();
+
+        const doorCenter = Math.round(doorCenterX(target));
+        const drRect     = droneEl.getBoundingClientRect();
+        const dw         = drRect.width  || parseFloat(droneEl.style.width)  || 120;
+
+        const leftPx     = Math.round(doorCenter - dw / 2);
+        const doorH      = parseFloat(target.style.height) || 200;
+        const gap        = Math.max(10, Math.round(doorH * 0.08));
+        const ty         = Math.max(10, Math.round(doorTop(target) - (drRect.height || 100) - gap));
+
+        const cur        = getLT(droneEl);
+        const distPx     = Math.hypot(Math.abs(leftPx - cur.left), Math.abs(ty - cur.top));
+        const vHop       = T.drone_hop_speed_px_per_s;
+        const baseMs     = Math.round(1000 * distPx / Math.max(1, vHop));
+        const hopMin     = T.drone_hop_min_ms;
+        const scale      = T.drone_hop_duration_scale;
+        const durMs      = Math.max(hopMin, Math.round(baseMs * scale));
+
+        // Keep subtle hover while moving; adjust amplitude to door scale.
+        droneEl.style.setProperty('--hover-amp', Math.max(2, Math.min(6, Math.round(doorH * 0.03))) + 'px');
+
+        const baseLeft = parseFloat(droneEl.style.left) || 0;
+        const baseTop  = parseFloat(droneEl.style.top)  || 0;
+        const toX      = leftPx - baseLeft;
+        const toY      = ty     - baseTop;
+
+        phases.emit('hop', { door });
+        return moveTransformTo(droneEl, toX, toY, durMs, 'cubic-bezier(.3,.3,.9,1)');
+      }
+
+      function moveDroneToSuggestedDoor() {
+        return hopToDoor(suggestedDoor)
+          .then(() => {
+            phases.mark('hop_end');
+            if (isDemo) {
+              const dwell  = Math.max(300, T.demo_dwell_ms);
+              setTO(() => {
+                const holdMs = Math.max(600, T.demo_blackout_hold_ms);
+                const fadeMs = Math.max(150, T.demo_blackout_fade_ms);
+                blackoutShow(trial.demo_blackout_text, fadeMs);
+                phases.emit('blackout');
+                setTO(() => {
+                  endTrial({
+                    trial_type:  'training_demo',
+                    event_type:  'training_demo',
+                    is_training: true,
+                    is_demo:     true,
+                    suggestion,
+                    true_location,
+                    door_count: doorCount,
+                    suggested_door: suggestedDoor,
+                    true_door: trueDoor
+                  });
+                }, holdMs);
+              }, dwell);
+              return;
+            }
+
+            // Delegated block: hover briefly, then the drone opens its own door.
+            if (autoPlay) {
+              const dwell = Math.max(300, T.delegation_dwell_ms);
+              setTO(() => choose(suggestedDoor), dwell);
+              return;
+            }
+
+            // Decision HUD
+            try {
+              const showRecommendation = () => {
+                decisionCopy.textContent = `The drone recommends the ${doorDisplayName(currentSuggestion, doorCount)} door.`;
+                doorChoiceBtns.forEach((b) => { b.hidden = (Number(b.dataset.door) === currentSuggestion); });
+                const followHint = btnFollow?.querySelector('.key-hint');
+                const otherHint  = btnIgnore?.querySelector('.key-hint');
+                if (followHint) followHint.textContent = followKeyLabel(currentSuggestion);
+                if (otherHint) otherHint.textContent = otherKeyLabel(currentSuggestion);
+              };
+              showRecommendation();
+              animateConfidence();
+              decisionBox.classList.add('hud-show', 'compact');
+              hudShownAt = pauser.now();
+              phases.emit('decision');
+
+              if (trial.trajectory) {
+                traj = createTrajectoryRecorder(frame.querySelector('.scene-frame'), [
+                  { el: btnFollow, name: 'follow' },
+                  { el: btnIgnore, name: 'ignore' },
+                  ...doorChoiceBtns.map(b => ({ el: b, name: `choice${b.dataset.door}` })),
+                  ...doorOverlays.map((el, i) => ({ el, name: `door${i}` }))
+                ].filter(x => x.el), trial.trajectory);
+                traj.start();
+                onEnd.push(() => traj.stop());
+              }
+              requestAnimationFrame(() => {
+                decisionBox.classList.add('reveal-stagger');
+                setTO(() => {
+                  decisionBox.classList.remove('compact');
+                  decisionBox.classList.add('expanded');
+                }, 50);
+              });
+
+              // Follow / other door (`response_keys`), or one key per door; with 3+ doors,
+              // number keys pick a door directly.
+              function decisionKeys(e) {
+                if (responded || rescanning) return;
+                const k = String(e.key).toLowerCase();
+                const press = (btn) => {
+                  pressedKey = e.key;
+                  btn?.click();
+                  pressedKey = null;
+                };
+                if (doorKeys && doorKeys.includes(k)) {
+                  press(doorKeys.indexOf(k) === currentSuggestion ? btnFollow : btnIgnore);
+                } else if (!doorKeys && keys.scheme === 'follow') {
+                  if (k === keys.follow) press(btnFollow);
+                  if (k === keys.other) press(btnIgnore);
+                }
+                if (k === 'd') press(btnDelegate);
+                if (k === 'b') press(btnDelegateBlock);
+                if (k === 'r') btnRescan?.click();
+                if (doorChoiceBtns.length && /^[1-9]$/.test(e.key)) {
+                  const door = Number(e.key) - 1;
+                  if (door === currentSuggestion) press(btnFollow);
+                  else press(doorChoiceBtns.find(b => Number(b.dataset.door) === door));
+                }
+              }
+              window.addEventListener('keydown', decisionKeys, { passive: true });
+
+              // Game controller (`gamepad-action`, src/ui/gamepad.js): follow / other door /
+              // delegate / rescan; A presses a HUD button focused with the D-pad.
+              function decisionPad(e) {
+                if (responded || rescanning) return;
+                const actions = e.detail?.actions || [];
+                const active = document.activeElement;
+                const focused = (active?.tagName === 'BUTTON' && decisionBox.contains(active)) ? active : null;
+                let btn = null;
+                if (actions.includes('follow')) btn = focused || btnFollow;
+                else if (actions.includes('other')) btn = btnIgnore;
+                else if (actions.includes('delegate')) btn = btnDelegate;
+                else if (actions.includes('rescan')) btn = btnRescan;
+                if (!btn) return;
+                e.preventDefault();
+                lastInput = 'gamepad';
+                btn.click();
+              }
+              window.addEventListener('gamepad-action', decisionPad);
+
+              // Actionable once the choice controls have finished revealing; an earlier
+              // key or press counts as the HUD being actionable for decision_rt_ms.
+              const controls = decisionBox.querySelector('.decision-controls');
+              const markActionable = () => phases.mark('hud_actionable');
+              if (!controls || window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) {
+                markActionable();
+              } else {
+                controls.addEventListener('transitionend', (e) => {
+                  if (e.target === controls && e.propertyName === 'max-height') markActionable();
+                });
+                setTO(markActionable, 500);   // no transition ran
+              }
+              const onFirstInput = () => {
+                phases.mark('first_input');
+                markActionable();
+                removeFirstInput();
+              };
+              const removeFirstInput = () => {
+                window.removeEventListener('keydown', onFirstInput, true);
+                window.removeEventListener('pointerdown', onFirstInput, true);
+              };
+              window.addEventListener('keydown', onFirstInput, true);
+              window.addEventListener('pointerdown', onFirstInput, true);
+              onEnd.push(removeFirstInput);
+
+              // Input modality of the choice (input_modality).
+              const noteKey = (e) => { if (e.isTrusted) lastInput = 'keyboard'; };
+              const notePointer = (e) => { lastInput = e.pointerType || 'mouse'; };
+              const notePad = () => { lastInput = 'gamepad'; };
+              const removeInputNotes = () => {
+                window.removeEventListener('keydown', noteKey, true);
+                window.removeEventListener('pointerdown', notePointer, true);
+                window.removeEventListener('gamepad-action', notePad, true);
+              };
+              window.addEventListener('keydown', noteKey, true);
+              window.addEventListener('pointerdown', notePointer, true);
+              window.addEventListener('gamepad-action', notePad, true);
+              onEnd.push(removeInputNotes);
+
+              const clearDecision = () => {
+                window.removeEventListener('keydown', decisionKeys);
+                window.removeEventListener('gamepad-action', decisionPad);
+                removeFirstInput();
+                removeInputNotes();
+              };
+
+              const decideDoor = (door) => {
+                responseKey = pressedKey;
+                responseModality = (decisionMode === 'timeout') ? null : lastInput;
+                clearDecision();
+                decisionBox.classList.add('hud-closing');
+                decisionBox.classList.remove('expanded');
+                stopIntegrity();
+                choose(door);
+              };
+
+              btnFollow.onclick = () => decideDoor(currentSuggestion);
+              if (btnDelegate) btnDelegate.onclick = () => {
+                decisionMode = 'delegated_trial';
+                decideDoor(currentSuggestion);
+              };
+              if (btnDelegateBlock) btnDelegateBlock.onclick = () => {
+                decisionMode = 'delegated_block';
+                decideDoor(currentSuggestion);
+              };
+              if (btnIgnore) btnIgnore.onclick = () => decideDoor(otherDoor());
+              doorChoiceBtns.forEach((b) => {
+                b.onclick = () => decideDoor(Number(b.dataset.door));
+              });
+
+              // Thermal peek: the countdown loses cost_ms at once (t0 shifts back); points are
+              // charged with the outcome. The cue is right with p = peek.accuracy (`rng`).
+              const maxPeeks = Math.max(1, peek.max_per_trial);
+              peekBtns.forEach((b) => {
+                b.onclick = () => {
+                  if (responded || timedOut || peeks.length >= maxPeeks) return;
+                  const door       = Number(b.dataset.door);
+                  const costMs     = Math.max(0, peek.cost_ms);
+                  const cueCorrect = rand() < peek.accuracy;
+                  const result     = ((door === trueDoor) === cueCorrect) ? 'heat' : 'no_heat';
+                  if (t0 !== null) t0 -= costMs;
+                  peeks.push({ door, result, cue_correct: cueCorrect, cost_ms: costMs, rt_s: (pauser.now() - hudShownAt) / 1000 });
+
+                  const cue = doorOverlays[door]?.querySelector('.peek-cue');
+                  if (cue) {
+                    cue.textContent = (result === 'heat') ? 'Heat signature' : 'No signature';
+                    cue.classList.remove('is-heat', 'is-none');
+                    cue.classList.add((result === 'heat') ? 'is-heat' : 'is-none', 'show');
+                    setTO(() => cue.classList.remove('show'), peek.cue_ms);
+                  }
+                  b.disabled = true;
+                  if (peeks.length >= maxPeeks) peekBtns.forEach(x => { x.disabled = true; });
+                };
+              });
+
+              // Rescan: the HUD dims while the sweep reruns on the integrity clock (plus cost_ms),
+              // then the drone hops to the planned door. A timeout mid-rescan follows the new advice.
+              const maxRescans = Math.max(1, rescan.max_per_trial);
+              if (btnRescan) btnRescan.onclick = () => {
+                if (responded || timedOut || rescanning || rescans.length >= maxRescans) return;
+                rescanning = true;
+                const startedAt = pauser.now();
+                const next      = rescan.doors[rescans.length] ?? currentSuggestion;
+                if (t0 !== null) t0 -= Math.max(0, rescan.cost_ms);
+
+                decisionBox.classList.add('rescanning');
+                decisionCopy.textContent = 'Rescanning…';
+                const rescanNum = rescans.length + 1;
+                phases.emit('rescan', { rescan: rescanNum });
+                runConeScan({
+                  frame,
+                  droneEl,
+                  doorOverlays,
+                  bufferMs: rescan.scan_ms ?? scanBufferMs,
+                  preMs: T.drone_prebuffer_ms,
+                  onSweep: () => phases.emit('scan', { rescan: rescanNum })
+                })
+                  .then(() => (next !== currentSuggestion) ? hopToDoor(next) : null)
+                  .then(() => {
+                    rescans.push({
+                      at_ms: Math.round(startedAt - hudShownAt),
+                      duration_ms: Math.round(pauser.now() - startedAt)
+                    });
+                    currentSuggestion = next;
+                    rescanning = false;
+                    if (responded) return;
+                    showRecommendation();
+                    decisionBox.classList.remove('rescanning');
+                    if (rescans.length >= maxRescans) btnRescan.disabled = true;
+                    if (timeoutPending) {
+                      timeoutPending = false;
+                      onDecisionTimeout();
+                    }
+                  });
+              };
+
+              // Decision timeout, per `timer_action`:
+              //  auto_follow | auto_ignore | random_door → that door opens (decision_mode 'timeout');
+              //  no_response → no door opens, “time expired” panel;
+              //  repeat_trial → as no_response with `requeued: true` (the host replays the trial;
+              //    a trial with `is_repeat` that times out again ends as no_response);
+              //  none → the HUD stays up and the participant may still choose (decision_mode 'manual',
+              //    `timed_out` false, `timer_expired` true; peek and rescan stay available).
+              onDecisionTimeout = () => {
+                if (responded) return;
+                const action = trial.timer_action || 'auto_follow';
+                timeoutAction = (action === 'repeat_trial' && trial.is_repeat) ? 'no_response' : action;
+                if (timeoutAction === 'none') { timedOut = false; return; }
+
+                decisionMode = 'timeout';
+                if (timeoutAction === 'auto_ignore') {
+                  const others = Array.from({ length: doorCount }, (_, i) => i).filter(i => i !== currentSuggestion);
+                  decideDoor((doorCount === 2) ? otherDoor() : others[Math.floor(rand() * others.length)]);
+                } else if (timeoutAction === 'random_door') {
+                  decideDoor(Math.floor(rand() * doorCount));
+                } else if (timeoutAction === 'no_response' || timeoutAction === 'repeat_trial') {
+                  decideDoor(null);
+                } else {
+                  decideDoor(currentSuggestion);
+                }
+              };
+
+              if (timeoutPending) {
+                timeoutPending = false;
+                setTO(() => onDecisionTimeout(), 0);
+              }
+
+              requestAnimationFrame(() => decisionBox.classList.add('hud-show'));
+              decisionBox.classList.remove('compact');
+              decisionBox.classList.add('expanded');
+            } catch (_) {}
+          });
+      }
+
+      // Released when the trial ends.
+      onEnd.push(() => {
+        stopIntegrity();
+        if (confRafId) cancelAnimationFrame(confRafId);
+        if (initialKeyHandler) window.removeEventListener('keydown', initialKeyHandler);
+        if (postConfidenceKeyHandler) window.removeEventListener('keydown', postConfidenceKeyHandler);
+      });
+    });
+
+    display_element.focus?.();
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * @file src/trials/interBlock.js
+ * @description
+ *  Screens placed between door blocks by the set definition (see src/data/blockFlow.js):
+ *   - makeBreakTrial:     rest screen with a countdown; Continue unlocks after `seconds`.
+ *   - makeNarrativeTrial: story/instruction screen with a single Continue button.
+ *  Questionnaires and probes between blocks reuse their own trial modules.
+ *
+ * Data emitted:
+ *  - break:     trial_type 'block_break', event_type 'block_break', after_block (1-based),
+ *               break_min_s, reaction_time_s (time on the screen)
+ *  - narrative: trial_type 'narrative_screen', after_block (not retained by the logger)
+ */
+
+import { logTrialRow } from '../logging/build.js';
+import { applyLightUiTheme } from '../ui/theme.js';
+
+/**
+ * Rest screen between blocks.
+ * @param {{seconds?: number, text?: string|null}} item  From `resolveInterBlock`.
+ * @param {number} afterBlock  1-based block the break follows.
+ * @returns {object} jsPsych trial config.
+ */
+export function makeBreakTrial(item, afterBlock) {
+  const minMs = Math.max(0, Number(item.seconds || 0)) * 1000;
+  const text = item.text || 'Take a short break. Continue when you are ready for the next search mission.';
+  let timer = null;
+  let t0 = 0;
+
+  return {
+    type: jsPsychHtmlKeyboardResponse,
+    choices: 'NO_KEYS',
+    data: { trial_type: 'block_break', event_type: 'block_break', after_block: afterBlock, break_min_s: minMs / 1000 },
+
+    on_start: () => {
+      applyLightUiTheme();
+    },
+
+    stimulus: `
+      <div style="
+        display:flex; flex-direction:column; justify-content:center; align-items:center;
+        height:100vh; text-align:center; max-width:720px; margin:0 auto; padding:0 16px;
+      ">
+        <h2 style="margin:0 0 12px 0;">Break</h2>
+        <p style="margin:0 0 8px 0;">${text}</p>
+        <p id="break-countdown" style="margin:0; color:#666; min-height:1.4em;"></p>
+        <button id="break-continue" disabled style="
+          margin-top:24px; padding:12px 28px; font-size:18px; border:none; border-radius:8px;
+          background-color:#2a6ebb; color:#fff; cursor:pointer; box-shadow:0 4px 14px rgba(0,0,0,0.1); opacity:0.5;
+        ">Continue</button>
+      </div>
+    `,
+
+    on_load: () => {
+      const btn = document.getElementById('break-continue');
+      const cd = document.getElementById('break-countdown');
+      t0 = performance.now();
+
+      const tick = () => {
+        const left = Math.ceil((minMs - (performance.now() - t0)) / 1000);
+        if (left > 0) {
+          if (cd) cd.textContent = `You can continue in ${left} s`;
+          timer = setTimeout(tick, 250);
+          return;
+        }
+        if (cd) cd.textContent = '';
+        if (btn) { btn.disabled = false; btn.style.opacity = '1'; btn.focus(); }
+      };
+      tick();
+
+      btn?.addEventListener('click', () => {
+        if (btn.disabled) return;
+        jsPsych.finishTrial({ reaction_time_s: (performance.now() - t0) / 1000 });
+      });
+    },
+
+    on_finish: (d) => {
+      clearTimeout(timer);
+      try { logTrialRow(d); } catch (_) {}
+    }
+  };
+}
+
+/**
+ * Narrative or instruction screen between blocks.
+ * @param {{title?: string|null, html: string, button?: string|null}} item  From `resolveInterBlock`.
+ * @param {number} afterBlock  1-based block the screen follows.
+ * @returns {object} jsPsych trial config.
+ */
+export function makeNarrativeTrial(item, afterBlock) {
+  return {
+    type: jsPsychHtmlKeyboardResponse,
+    choices: 'NO_KEYS',
+    data: { trial_type: 'narrative_screen', after_block: afterBlock },
+
+    on_start: () => {
+      applyLightUiTheme();
+    },
+
+    stimulus: `
+      <div style="
+        display:flex; flex-direction:column; justify-content:center; align-items:center;
+        height:100vh; text-align:left; max-width:900px; margin:0 auto; padding:0 16px;
+      ">
+        <div>
+          ${item.title ? `<h2 style="margin:0 0 10px 0;">${item.title}</h2>` : ''}
+          ${item.html}
+        </div>
+        <button id="narrative-continue" style="
+          margin-top:30px; padding:12px 28px; font-size:18px; border:none; border-radius:8px;
+          background-color:#2a6ebb; color:#fff; cursor:pointer; box-shadow:0 4px 14px rgba(0,0,0,0.1);
+        ">${item.button || 'Continue'}</button>
+      </div>
+    `,
+
+    on_load: () => {
+      document.getElementById('narrative-continue')
+        ?.addEventListener('click', () => jsPsych.finishTrial());
+    },
+
+    on_finish: (d) => {
+      try { logTrialRow(d); } catch (_) {}
+    }
+  };
+}
@@ -2,14 +2,47 @@
  * @file src/trials/ready.js
  * @description
  *  Pre-demo “Task Description” screen. Explains the one-trial demonstration and
- *  how the main task works. Advances only via the on-screen button.
+ *  how the main task works. Advances only via the on-screen button. The response keys
+ *  named in the copy follow `CONFIG.response_keys` (src/data/responseKeys.js), and the
+ *  timeout sentence follows `CONFIG.timer_action`.
  *
  * Data emitted:
  *  - trial_type: "training_intro"
  */
 
+import { CONFIG } from '../config.js';
 import { logTrialRow } from '../logging/build.js';
 import { applyLightUiTheme } from '../ui/theme.js';
+import { resolveResponseKeys } from '../data/responseKeys.js';
+
+/** Sentence describing the decision keys of this participant's mapping. */
+function keysSentence() {
+  const keys = resolveResponseKeys();
+  if (keys.scheme === 'door') {
+    return `pressing <strong><kbd>${keys.labels.doors[0]}</kbd></strong> (left door) or
+          <strong><kbd>${keys.labels.doors[1]}</kbd></strong> (right door) on your keyboard.`;
+  }
+  return `pressing the key <strong><kbd>${keys.labels.follow}</kbd></strong> (to follow) or
+          <strong><kbd>${keys.labels.other}</kbd></strong> (to not follow) on your keyboard.`;
+}
+
+/** Sentence describing what happens when the decision window runs out (`CONFIG.timer_action`). */
+function timeoutSentence() {
+  switch (CONFIG.timer_action || 'auto_follow') {
+    case 'auto_ignore':
+      return 'If no response is given before time runs out, the drone\'s recommendation will be ignored automatically.';
+    case 'random_door':
+      return 'If no response is given before time runs out, a door will be opened at random.';
+    case 'no_response':
+      return 'If no response is given before time runs out, no door will be opened.';
+    case 'repeat_trial':
+      return 'If no response is given before time runs out, no door will be opened and the search area will be repeated later.';
+    case 'none':
+      return 'If time runs out, you can still make your choice.';
+    default:
+      return 'If no response is given before time runs out, the drone\'s recommendation will be followed automatically.';
+  }
+}
 
 export const readyTrial = {
   type: jsPsychHtmlKeyboardResponse,
@@ -20,7 +53,7 @@ export const readyTrial = {
     applyLightUiTheme();
   },
 
-  stimulus: `
+  stimulus: () => `
     <div style="
       display:flex; flex-direction:column; justify-content:center; align-items:center;
       height:100vh; text-align:left; max-width:900px; margin:0 auto; padding:0 16px;
@@ -44,10 +77,9 @@ export const readyTrial = {
 
         <p>
           In the main task, you will be prompted to decide whether to <strong>follow or ignore</strong> the drone's recommendation.
-          You can respond either by clicking the on-screen buttons or by pressing the key
-          <strong><kbd>F</kbd></strong> (to follow) or <strong><kbd>N</kbd></strong> (to not follow) on your keyboard.
+          You can respond either by clicking the on-screen buttons or by ${keysSentence()}
           You will have a limited amount of time to make your choice, shown by a decaying slider timer.
-          If no response is given before time runs out, the drone's recommendation will be followed automatically.
+          ${timeoutSentence()}
           After your decision, the chosen door will open, revealing whether a victim has been found.
         </p>
 
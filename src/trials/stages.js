@@ -0,0 +1,131 @@
+/**
+ * @file src/trials/stages.js
+ * @description
+ *  Stage registry for the declarative study definition (src/data/study.js). Each entry maps a
+ *  stage name to the existing trial factory; builders append their nodes to `out` and may be
+ *  async (the blocks stage loads the condition set).
+ *
+ * Stages and parameters
+ *  - fullscreen                     jsPsych fullscreen prompt (desktop, when not already fullscreen)
+ *  - demographics, overview, robot_description, self_confidence, ready
+ *  - trust40 { event_type }         40-item questionnaire (default 'questionnaire40pre')
+ *  - trust14 { event_type }         14-item questionnaire (e.g. 'questionnaire14mid1')
+ *  - trust_probe { context }        single trust probe
+ *  - reviews { probe = true }       reviews of the assigned `review_condition` (+ reputation probe)
+ *  - training_demo { n }            auto-play demos (`CONFIG.training.n`; skipped when training is off)
+ *  - fade { to, hold_ms, fade_in }  theme transition ('light' | 'dark')
+ *  - blocks                         door-trial blocks of the assigned set (initExperiment)
+ *
+ * Exports
+ *  - STAGES: the registry.
+ *  - buildStudyTimeline(study, timeline): append every stage; stages with `when` are wrapped
+ *    in a conditional node.
+ */
+
+import { CONFIG } from '../config.js';
+import { stageApplies } from '../data/study.js';
+import { generateTrainingTrials } from '../data/sets.js';
+import { randSeeded } from '../data/assets.js';
+import { notePick } from '../data/session.js';
+import { makeFadeTransition } from '../ui/theme.js';
+import { IS_MOBILE } from '../utils/misc.js';
+import { demographicsTrial } from './demographics.js';
+import { overviewTrial } from './overview.js';
+import { robotDescriptionTrial } from './robotDescription.js';
+import { trust40Trial, trust14Trial } from './trustQuestionnaires.js';
+import { makeTrustProbeTrial } from './trustProbe.js';
+import { selfConfidenceTrial } from './selfConfidence.js';
+import { readyTrial } from './ready.js';
+import { makeReviewsTrial, reputationProbeTrial, loadReviewsJSON, pickReviewSet, assignAvatarsToReviewSet } from './reputation.js';
+import { createDoorTrial } from './doorTrial.js';
+import { initExperiment } from './blocks.js';
+
+/** Stage name → builder(params, out). */
+export const STAGES = {
+  fullscreen: (p, out) => {
+    // Only when not already fullscreen (desktop; mobile uses the orientation gate).
+    const isFullscreen = !!(document.fullscreenElement || document.webkitFullscreenElement || document.msFullscreenElement);
+    if (IS_MOBILE || isFullscreen) return;
+    out.push({
+      type: jsPsychFullscreen,
+      fullscreen_mode: true,
+      message: p.message || '<p>For the best experience, we will switch to full screen.</p>',
+      button_label: p.button_label || 'Enter full screen'
+    });
+  },
+
+  demographics: (p, out) => { out.push(demographicsTrial); },
+  overview: (p, out) => { out.push(overviewTrial); },
+  robot_description: (p, out) => { out.push(robotDescriptionTrial); },
+  self_confidence: (p, out) => { out.push(selfConfidenceTrial); },
+  ready: (p, out) => { out.push(readyTrial); },
+
+  trust40: (p, out) => {
+    out.push({ ...trust40Trial, data: { ...(trust40Trial.data || {}), event_type: p.event_type || 'questionnaire40pre' } });
+  },
+
+  trust14: (p, out) => {
+    out.push({ ...trust14Trial, data: { ...(trust14Trial.data || {}), event_type: p.event_type || 'questionnaire14mid1' } });
+  },
+
+  trust_probe: (p, out) => { out.push(makeTrustProbeTrial(p.context || 'study_probe')); },
+
+  reviews: async (p, out) => {
+    const REVIEWS = await loadReviewsJSON();
+    if (!REVIEWS) return;
+
+    // Use the condition assigned on the client (main.js).
+    const label = window.ASSIGNED_REVIEW_CONDITION || CONFIG.review_condition;
+    const expected = Number(
+      CONFIG.review_expected_map &&
+      Object.prototype.hasOwnProperty.call(CONFIG.review_expected_map, label)
+        ? CONFIG.review_expected_map[label]
+        : 0
+    );
+
+    const set = pickReviewSet(REVIEWS, label, randSeeded);
+    notePick('review_set', set.map(r => r.id));
+    out.push(makeReviewsTrial({
+      reviewSet: assignAvatarsToReviewSet(set, randSeeded),
+      condition: label,
+      expectedReputation: expected
+    }));
+    if (p.probe !== false) out.push(reputationProbeTrial);
+  },
+
+  training_demo: (p, out) => {
+    if (CONFIG.training?.enabled === false) return;
+    const trials = generateTrainingTrials(p.n ?? CONFIG.training.n, randSeeded);
+    trials.forEach((t, i) => {
+      out.push(createDoorTrial(t, i, trials.length, { training: true, demo: true }));
+    });
+  },
+
+  fade: (p, out) => {
+    out.push(makeFadeTransition({ to: p.to || 'light', holdMs: p.hold_ms ?? 0, fadeIn: p.fade_in !== false }));
+  },
+
+  blocks: async (p, out) => {
+    await initExperiment(out);
+  }
+};
+
+/**
+ * Append the nodes of every stage to the timeline, in order.
+ * @param {{stages: object[]}} study   Normalized study (`normalizeStudy`).
+ * @param {Array<object>} timeline
+ * @returns {Promise<void>}
+ */
+export async function buildStudyTimeline(study, timeline) {
+  for (const s of study.stages) {
+    const out = [];
+    await STAGES[s.stage](s, out);
+    if (!out.length) continue;
+
+    if (s.when) {
+      timeline.push({ timeline: out, conditional_function: () => stageApplies(s.when), data: { study_stage: s.stage } });
+    } else {
+      timeline.push(...out);
+    }
+  }
+}
@@ -5,6 +5,7 @@
  * readout and “Continue” button. Supports keyboard controls:
  *  - ← / → : step −10 / +10
  *  - Enter : submit
+ * Game controllers (src/ui/gamepad.js): D-pad ← / → steps the slider, A submits.
  *
  * Data emitted on finish:
  *  - trial_type: 'trust_probe'
@@ -57,7 +58,7 @@ export function makeTrustProbeTrial(contextTag) {
           </div>
 
           <div style="display:flex; justify-content:center; margin-top:96px;">
-            <button id="trust_probe_next" style="
+            <button id="trust_probe_next" data-pad="confirm" style="
               padding:12px 28px; font-size:18px; border:none; border-radius:8px;
               background-color:#2a6ebb; color:#fff; cursor:pointer;
               box-shadow:0 6px 18px rgba(0,0,0,0.12);">Continue</button>
@@ -37,6 +37,7 @@
  *  - ← / → keys adjust slider by −10 / +10.
  *  - Enter advances (Next/Finish).
  *  - Back/Next buttons for navigation; Back hidden on the first item.
+ *  - Game controllers (src/ui/gamepad.js): D-pad ← / → adjusts the slider, A = Next, B = Back.
  *
  * Exports:
  *  - trust40Trial : preconfigured 40-item version
@@ -175,12 +176,12 @@ export function makeTrustTrial(mode, opts = {}) {
           </div>
 
           <div style="display:flex; justify-content:center; gap:24px; margin-top:96px;">
-            <button id="${domPrefix}_back" style="
+            <button id="${domPrefix}_back" data-pad="back" style="
               padding:12px 28px; font-size:18px; border:none; border-radius:8px;
               background:#e6eaf0; color:#111; cursor:pointer; display:none;
             ">Back</button>
 
-            <button id="${domPrefix}_next" style="
+            <button id="${domPrefix}_next" data-pad="confirm" style="
               padding:12px 28px; font-size:18px; border:none; border-radius:8px;
               background-color:#2a6ebb; color:#fff; cursor:pointer;
               box-shadow:0 6px 18px rgba(0,0,0,0.12);
@@ -18,6 +18,7 @@ const FRAGMENTS = [
   { url: 'html/loading-overlay.html',      where: 'body', position: 'afterbegin' },
   { url: 'html/consent-screen.html',       where: 'body', position: 'beforeend' },
   { url: 'html/rotate-gate.html',          where: 'body', position: 'beforeend' },
+  { url: 'html/fullscreen-gate.html',      where: 'body', position: 'beforeend' },
   { url: 'html/jspsych-target.html',       where: 'body', position: 'beforeend' },
   { url: 'html/final-screen.html',         where: 'body', position: 'beforeend' },
   { url: 'html/final-keep-screen.html',    where: 'body', position: 'beforeend' },
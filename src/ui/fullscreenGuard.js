@@ -0,0 +1,222 @@
+/**
+ * @file src/ui/fullscreenGuard.js
+ * @description
+ * Fullscreen enforcement during the door blocks (desktop only):
+ *  - Watches `fullscreenchange` for the whole session and counts exits.
+ *  - While a door block runs (armed by blocks.js), an exit pauses the timeline and shows the
+ *    #fullscreen-gate fragment until the participant re-enters fullscreen. The running door
+ *    trial holds itself (its `pause` parameter, src/trials/doorPause.js) without its own
+ *    fullscreen overlay (`fullscreenGuardActive`); the timeline pause keeps the next trial
+ *    from starting.
+ *  - Each door block starts with a gate node that holds while fullscreen is off (left between
+ *    blocks, or never entered).
+ *  - Exit counts and time away are session-level quality metrics (`session_quality` row); they
+ *    are kept in the session record, so a page refresh does not reset them.
+ * Off on phones/tablets (the orientation gate applies instead), where fullscreen is not
+ * supported, and with `CONFIG.fullscreen_guard.enabled` false (`?fsguard=0`).
+ */
+
+import { CONFIG } from '../config.js';
+import { IS_MOBILE } from '../utils/misc.js';
+import { alwaysOnResume } from '../data/session.js';
+
+const state = {
+  jsPsych: null,
+  armed: false,
+  stopped: false,
+  paused: false,
+  leftAt: null,         // performance.now() of the current exit
+  leftInBlock: false,
+  exits: 0,
+  exitsInBlocks: 0,
+  awayMs: 0,
+  longestAwayMs: 0,
+  gateShown: 0
+};
+
+const isFullscreen = () =>
+  !!(document.fullscreenElement || document.webkitFullscreenElement || document.msFullscreenElement);
+
+/** True when fullscreen is enforced for this participant. */
+function guardApplies() {
+  return !!CONFIG.fullscreen_guard?.enabled && !IS_MOBILE
+    && !!(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+}
+
+/**
+ * Start watching fullscreen for the session. Call once, after jsPsych is initialized.
+ * @param {any} jsPsych - The active jsPsych instance.
+ */
+export function startFullscreenGuard(jsPsych) {
+  if (state.jsPsych) return;
+  state.jsPsych = jsPsych;
+
+  const onChange = () => {
+    if (state.stopped || window.__MANUAL_END__) return;
+    if (isFullscreen()) onEnter();
+    else onExit();
+  };
+  document.addEventListener('fullscreenchange', onChange);
+  document.addEventListener('webkitfullscreenchange', onChange);
+}
+
+/** Stop counting (the end screens leave fullscreen on purpose). */
+export function stopFullscreenGuard() {
+  state.stopped = true;
+}
+
+/**
+ * Arm or disarm the guard; door blocks arm it while they run.
+ * @param {boolean} on
+ */
+export function setFullscreenGuardArmed(on) {
+  state.armed = !!on;
+}
+
+/**
+ * True while the guard handles fullscreen exits itself (armed door block, guard on): door
+ * trials then hold without their own fullscreen overlay, so only the gate is shown.
+ * @returns {boolean}
+ */
+export function fullscreenGuardActive() {
+  return state.armed && !state.stopped && guardApplies();
+}
+
+/**
+ * Timeline node placed at the start of each door block: holds on the gate until the
+ * browser is in fullscreen. Skipped when fullscreen is already on or the guard is off;
+ * checked again when a refreshed session resumes inside the block.
+ * @returns {object} jsPsych timeline node.
+ */
+export function fullscreenGateNode() {
+  return alwaysOnResume({
+    timeline: [{
+      type: jsPsychHtmlKeyboardResponse,
+      stimulus: '',
+      choices: 'NO_KEYS',
+      data: { trial_type: 'fullscreen_gate' },
+      on_load: () => {
+        waitForFullscreen().then(() => state.jsPsych?.finishTrial());
+      }
+    }],
+    conditional_function: () => guardApplies() && !isFullscreen()
+  });
+}
+
+/**
+ * Session counters for the `session_quality` row.
+ * @returns {{fullscreen_guard: boolean, fullscreen_exits: number, fullscreen_exits_in_blocks: number,
+ *            fullscreen_away_ms: number, fullscreen_longest_away_ms: number, fullscreen_gate_shown: number}}
+ */
+export function fullscreenQualityMetrics() {
+  // An exit still open counts up to now.
+  const open = (state.leftAt !== null && state.leftInBlock) ? performance.now() - state.leftAt : 0;
+  return {
+    fullscreen_guard: guardApplies(),
+    fullscreen_exits: state.exits,
+    fullscreen_exits_in_blocks: state.exitsInBlocks,
+    fullscreen_away_ms: Math.round(state.awayMs + open),
+    fullscreen_longest_away_ms: Math.round(Math.max(state.longestAwayMs, open)),
+    fullscreen_gate_shown: state.gateShown
+  };
+}
+
+/**
+ * Counters to keep across a page refresh (saved with the session record, src/data/session.js).
+ * An exit still open is counted up to now.
+ * @returns {{exits: number, exits_in_blocks: number, away_ms: number, longest_away_ms: number, gate_shown: number}}
+ */
+export function fullscreenCounters() {
+  const m = fullscreenQualityMetrics();
+  return {
+    exits: m.fullscreen_exits,
+    exits_in_blocks: m.fullscreen_exits_in_blocks,
+    away_ms: m.fullscreen_away_ms,
+    longest_away_ms: m.fullscreen_longest_away_ms,
+    gate_shown: m.fullscreen_gate_shown
+  };
+}
+
+/**
+ * Restore the counters of the previous page load (src/data/session.js); anything counted since
+ * this page loaded is added on top.
+ * @param {{exits?: number, exits_in_blocks?: number, away_ms?: number, longest_away_ms?: number, gate_shown?: number}} saved
+ */
+export function restoreFullscreenCounters({ exits, exits_in_blocks, away_ms, longest_away_ms, gate_shown }) {
+  if (typeof exits === 'number') state.exits += exits;
+  if (typeof exits_in_blocks === 'number') state.exitsInBlocks += exits_in_blocks;
+  if (typeof away_ms === 'number') state.awayMs += away_ms;
+  if (typeof longest_away_ms === 'number') state.longestAwayMs = Math.max(state.longestAwayMs, longest_away_ms);
+  if (typeof gate_shown === 'number') state.gateShown += gate_shown;
+}
+
+function onExit() {
+  if (state.leftAt !== null) return;
+  state.exits++;
+  state.leftAt = performance.now();
+  state.leftInBlock = state.armed;
+  if (!state.armed) return;
+
+  state.exitsInBlocks++;
+  if (!guardApplies()) return;
+  try { state.jsPsych?.pauseExperiment(); state.paused = true; } catch (_) {}
+  waitForFullscreen().then(() => {
+    if (!state.paused) return;
+    state.paused = false;
+    try { state.jsPsych?.resumeExperiment(); } catch (_) {}
+  });
+}
+
+function onEnter() {
+  if (state.leftAt === null) return;
+  if (state.leftInBlock) {
+    const away = performance.now() - state.leftAt;
+    state.awayMs += away;
+    state.longestAwayMs = Math.max(state.longestAwayMs, away);
+  }
+  state.leftAt = null;
+  state.leftInBlock = false;
+}
+
+/**
+ * Show the #fullscreen-gate fragment and resolve once the browser is back in fullscreen.
+ * @returns {Promise<void>}
+ */
+function waitForFullscreen() {
+  if (isFullscreen()) return Promise.resolve();
+
+  const gate = document.getElementById('fullscreen-gate');
+  const tip  = document.getElementById('fs-gate-tip');
+  const btn  = document.getElementById('fs-gate-enter');
+  state.gateShown++;
+
+  if (tip) {
+    tip.textContent = state.exitsInBlocks
+      ? `Fullscreen was left ${state.exitsInBlocks} time${state.exitsInBlocks === 1 ? '' : 's'} during the missions.`
+      : '';
+  }
+  if (gate) gate.style.display = 'flex';
+
+  const enter = () => {
+    const el = document.documentElement;
+    try {
+      if (el.requestFullscreen) el.requestFullscreen({ navigationUI: 'hide' }).catch(() => {});
+      else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
+      else if (el.msRequestFullscreen) el.msRequestFullscreen();
+    } catch (_) {}
+  };
+
+  return new Promise((resolve) => {
+    const check = () => {
+      if (!isFullscreen()) return;
+      document.removeEventListener('fullscreenchange', check);
+      document.removeEventListener('webkitfullscreenchange', check);
+      btn?.removeEventListener('click', enter);
+      if (gate) gate.style.display = 'none';
+      resolve();
+    };
+    document.addEventListener('fullscreenchange', check);
+    document.addEventListener('webkitfullscreenchange', check);
+    btn?.addEventListener('click', enter);
+  });
+}
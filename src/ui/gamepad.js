@@ -0,0 +1,168 @@
+/**
+ * @file src/ui/gamepad.js
+ * @description
+ * Game controller input for lab sessions (Gamepad API, standard mapping).
+ *  - Once a controller is connected, its buttons are polled every frame. Each press is
+ *    dispatched on `window` as a cancelable `gamepad-action` event with
+ *    `detail: { actions, button, repeat }`; action names come from `CONFIG.gamepad.buttons`
+ *    (follow, other, delegate, rescan, up, down, left, right).
+ *  - Screens that handle an action themselves call `preventDefault()` (the door trial's
+ *    decision HUD, see doorTrialPlugin.js). Otherwise, on the current screen:
+ *     - left / right: step the visible slider by its own `step`, else move focus
+ *     - up / down:    move focus between the visible buttons and inputs
+ *     - follow (A):   press the focused control, else the `[data-pad="confirm"]` button,
+ *                     else focus the first control
+ *     - other (B):    press the `[data-pad="back"]` button
+ *  - D-pad directions repeat while held; the left stick acts as the D-pad.
+ * Every press counts as 'gamepad' input (src/utils/inputModality.js).
+ * Off with `CONFIG.gamepad.enabled` false (`?gamepad=0`) or without Gamepad API support.
+ */
+
+import { CONFIG } from '../config.js';
+import { noteInputModality } from '../utils/inputModality.js';
+
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+const state = {
+  jsPsych: null,
+  rafId: null,
+  held: new Map()     // button index → time of its next repeat
+};
+
+/**
+ * Start listening for controllers. Call once, after jsPsych is initialized.
+ * @param {any} jsPsych - The active jsPsych instance.
+ */
+export function startGamepadInput(jsPsych) {
+  if (state.jsPsych || !CONFIG.gamepad?.enabled || typeof navigator.getGamepads !== 'function') return;
+  state.jsPsych = jsPsych;
+
+  window.addEventListener('gamepadconnected', (e) => {
+    console.info('[gamepad] Connected:', e.gamepad?.id);
+    if (state.rafId === null) poll();
+  });
+  if (connectedPads().length) poll();
+}
+
+function connectedPads() {
+  try {
+    return Array.from(navigator.getGamepads() || []).filter(p => p && p.connected);
+  } catch (_) {
+    return [];
+  }
+}
+
+/** Read every connected controller; stops once none is left (restarted on connect). */
+function poll() {
+  const pads = connectedPads();
+  if (!pads.length) {
+    state.rafId = null;
+    state.held.clear();
+    return;
+  }
+
+  const G = CONFIG.gamepad;
+  const map = G.buttons || {};
+  const now = performance.now();
+  const down = new Set();
+
+  pads.forEach((pad) => {
+    pad.buttons.forEach((b, i) => { if (b.pressed) down.add(i); });
+    const th = G.stick_threshold;
+    if (th > 0) {
+      const [x = 0, y = 0] = pad.axes;
+      if (x <= -th) down.add(map.left);
+      if (x >= th)  down.add(map.right);
+      if (y <= -th) down.add(map.up);
+      if (y >= th)  down.add(map.down);
+    }
+  });
+  down.delete(undefined);
+
+  [...state.held.keys()].forEach((i) => { if (!down.has(i)) state.held.delete(i); });
+  down.forEach((i) => {
+    if (!state.held.has(i)) {
+      state.held.set(i, now + G.repeat_delay_ms);
+      press(i, false);
+    } else if (now >= state.held.get(i) && isDirection(i)) {
+      state.held.set(i, now + G.repeat_ms);
+      press(i, true);
+    }
+  });
+
+  state.rafId = requestAnimationFrame(poll);
+}
+
+function actionsFor(button) {
+  const map = CONFIG.gamepad.buttons || {};
+  return Object.keys(map).filter(a => map[a] === button);
+}
+
+function isDirection(button) {
+  return actionsFor(button).some(a => DIRECTIONS.includes(a));
+}
+
+function press(button, repeat) {
+  const actions = actionsFor(button);
+  if (!actions.length) return;
+  noteInputModality('gamepad');
+
+  const ev = new CustomEvent('gamepad-action', { detail: { actions, button, repeat }, cancelable: true });
+  window.dispatchEvent(ev);
+  if (!ev.defaultPrevented) defaultAction(actions);
+}
+
+// ---------- Default behaviour on the current screen ----------
+
+function isVisible(el) {
+  if (typeof el.checkVisibility === 'function') {
+    return el.checkVisibility({ visibilityProperty: true, opacityProperty: true, checkVisibilityCSS: true, checkOpacity: true });
+  }
+  return el.offsetParent !== null && getComputedStyle(el).visibility !== 'hidden';
+}
+
+/** Enabled, visible controls of the current screen, in document order. */
+function screenControls() {
+  const root = state.jsPsych?.getDisplayElement?.() || document.body;
+  return Array.from(root.querySelectorAll('button, input, select, textarea'))
+    .filter(el => !el.disabled && !el.hidden && el.type !== 'hidden' && isVisible(el));
+}
+
+function defaultAction(actions) {
+  const controls = screenControls();
+  if (!controls.length) return;
+  const focused = controls.includes(document.activeElement) ? document.activeElement : null;
+  const slider = (focused?.type === 'range') ? focused : controls.find(el => el.type === 'range');
+
+  if (actions.includes('left') || actions.includes('right')) {
+    const dir = actions.includes('right') ? 1 : -1;
+    if (slider) stepSlider(slider, dir);
+    else moveFocus(controls, focused, dir);
+  } else if (actions.includes('up') || actions.includes('down')) {
+    moveFocus(controls, focused, actions.includes('down') ? 1 : -1);
+  } else if (actions.includes('follow')) {
+    if (focused && focused.type !== 'range') focused.click();
+    else {
+      const confirm = controls.find(el => el.dataset.pad === 'confirm');
+      if (confirm) confirm.click();
+      else controls.find(el => el.type !== 'range')?.focus();
+    }
+  } else if (actions.includes('other')) {
+    controls.find(el => el.dataset.pad === 'back')?.click();
+  }
+}
+
+function stepSlider(el, dir) {
+  const step = Number(el.step) || 1;
+  const min = (el.min !== '') ? Number(el.min) : 0;
+  const max = (el.max !== '') ? Number(el.max) : 100;
+  el.value = String(Math.max(min, Math.min(max, Number(el.value) + dir * step)));
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function moveFocus(controls, focused, dir) {
+  const from = focused ? controls.indexOf(focused) : (dir > 0 ? -1 : 0);
+  const next = controls[(from + dir + controls.length) % controls.length];
+  try { next.focus({ focusVisible: true }); } catch (_) { next.focus(); }
+}
@@ -9,7 +9,7 @@
  *  - Blackout respects the exit modal: when the modal is open the blackout
  *    passes pointer events through so the modal stays interactive.
  *  - Text on the blackout layer fades in only after the screen is fully black.
- *  - All timing values are configurable through `window.CONFIG`.
+ *  - Fade durations default to `window.CONFIG.blackout_fade_ms` and can be passed per call.
  */
 
 /**
@@ -17,8 +17,9 @@
  * The screen fades to black; optional text appears after the fade completes.
  *
  * @param {string} [text] - Optional copy to show centered on the blackout.
+ * @param {number} [fadeMs] - Fade-in duration before the text appears.
  */
-export function blackoutShow(text) {
+export function blackoutShow(text, fadeMs = window.CONFIG?.blackout_fade_ms ?? 450) {
   if (hasExperimentEnded()) return;
 
   const el = getOrCreateBlackoutLayer();
@@ -48,7 +49,6 @@ export function blackoutShow(text) {
   requestAnimationFrame(() => el.classList.add('show'));
 
   // After the blackout fade finishes, reveal the text (if provided).
-  const fadeMs = window.CONFIG?.blackout_fade_ms ?? 450;
   el._TimeoutId = setTimeout(() => {
     el._TimeoutId = null;
     if (!text) return; // pure black, no caption
@@ -63,13 +63,14 @@ export function blackoutShow(text) {
 
 /**
  * Hide the blackout layer with a fade-out, then remove from flow.
+ *
+ * @param {number} [fade] - Fade-out duration.
  */
-export function blackoutHide() {
+export function blackoutHide(fade = window.CONFIG?.blackout_fade_ms ?? 260) {
   const el = getOrCreateBlackoutLayer();
   if (!el.classList.contains('show')) return; // already hidden
   el.classList.remove('show');
 
-  const fade = window.CONFIG?.blackout_fade_ms ?? 260;
   setTimeout(() => {
     el.style.display = 'none';
     const t = el.querySelector('.blackout-text');
@@ -146,10 +147,11 @@ function isExitModalOpen() {
 }
 
 /**
- * Guard: prevent blackout actions after the experiment has ended.
+ * Guard: prevent blackout actions after the experiment has ended (also the door trials'
+ * `host_ended` check).
  * @returns {boolean}
  */
-function hasExperimentEnded() {
+export function hasExperimentEnded() {
   return (
     !!window.__MANUAL_END__ ||
     !!window.__END_REASON__ ||
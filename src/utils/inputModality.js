@@ -0,0 +1,37 @@
+/**
+ * @file src/utils/inputModality.js
+ * @description
+ *  Input modality of the running trial: the last input seen since it started, one of
+ *  'keyboard', 'mouse' | 'touch' | 'pen' (pointer type) or 'gamepad' (src/ui/gamepad.js).
+ *  main.js resets it when a trial starts; logTrialRow stamps it as `input_modality` on rows
+ *  that do not record their own (door trials record the input that made the decision).
+ */
+
+let current = null;
+let started = false;
+
+/** Listen for keyboard and pointer input (once per page). */
+export function startInputModalityTracking() {
+  if (started) return;
+  started = true;
+  window.addEventListener('keydown', (e) => { if (e.isTrusted) current = 'keyboard'; }, true);
+  window.addEventListener('pointerdown', (e) => { current = e.pointerType || 'mouse'; }, true);
+}
+
+/**
+ * Record input that does not arrive as a DOM event (game controllers).
+ * @param {string} modality
+ */
+export function noteInputModality(modality) {
+  current = modality;
+}
+
+/** Forget the previous trial's input. */
+export function resetInputModality() {
+  current = null;
+}
+
+/** @returns {string|null} Modality of the last input since the trial started. */
+export function inputModality() {
+  return current;
+}
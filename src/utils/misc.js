@@ -3,7 +3,7 @@
  * @description
  * Miscellaneous utilities:
  *  - Mobile orientation/size gate for phones/tablets
- *  - Deterministic PRNG (mulberry32)
+ *  - Deterministic PRNG (mulberry32) and string hash (FNV-1a), re-exported from rng.js
  *  - Mobile/tablet detection heuristic (IS_MOBILE)
  */
 
@@ -45,20 +45,8 @@ export async function waitForMobileGate() {
   });
 }
 
-/**
- * Mulberry32 PRNG factory.
- * @param {number} a - 32-bit seed.
- * @returns {() => number} Function returning a float in [0,1).
- */
-export function mulberry32(a) {
-  a |= 0;
-  return function () {
-    a = (a + 0x6D2B79F5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
+// PRNG + hash live in rng.js (DOM-free, shared with the Node tools); re-exported here.
+export { mulberry32, fnv1a } from './rng.js';
 
 /**
  * Conservative phone/tablet detection.
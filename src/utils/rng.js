@@ -0,0 +1,55 @@
+/**
+ * @file src/utils/rng.js
+ * @description
+ * Deterministic PRNG (mulberry32) and string hash (FNV-1a).
+ * Free of DOM/browser globals so Node tools (scripts/) can import it too.
+ */
+
+/**
+ * Mulberry32 PRNG factory.
+ * @param {number} a - 32-bit seed.
+ * @returns {() => number} Function returning a float in [0,1).
+ */
+export function mulberry32(a) {
+  a |= 0;
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Mulberry32 whose position can be saved and restored (session resume).
+ * Draws match `mulberry32(seed)`.
+ * @param {number} seed - 32-bit seed.
+ * @returns {(() => number) & {state: () => number, setState: (s: number) => void}}
+ */
+export function mulberry32Resumable(seed) {
+  let a = seed | 0;
+  const next = function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.state = () => a;
+  next.setState = (s) => { a = s | 0; };
+  return next;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string (used for deterministic per-participant picks).
+ * @param {string} str
+ * @returns {number} Unsigned 32-bit hash.
+ */
+export function fnv1a(str) {
+  let h = 2166136261 >>> 0;
+  const s = String(str || '');
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
+  }
+  return h;
+}